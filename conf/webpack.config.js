@@ -16,6 +16,8 @@ module.exports = {
   externals: {
     fs: '{}',
     mkdirp: '{}',
+    // The WebSocket broker uses the browser's WebSocket
+    ws: 'WebSocket',
   },
   node: {
     console: false,
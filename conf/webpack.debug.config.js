@@ -15,6 +15,8 @@ module.exports = {
   externals: {
     fs: '{}',
     mkdirp: '{}',
+    // The WebSocket broker uses the browser's WebSocket
+    ws: 'WebSocket',
   },
   node: {
     console: false,
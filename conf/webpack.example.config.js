@@ -26,6 +26,8 @@ module.exports = {
   externals: {
     fs: '{}',
     mkdirp: '{}',
+    // The WebSocket broker uses the browser's WebSocket
+    ws: 'WebSocket',
   },
   plugins: [
     new webpack.DefinePlugin({
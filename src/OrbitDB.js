@@ -1,36 +1,112 @@
 'use strict'
 
 const path = require('path')
+const fs = require('fs')
+const mkdirp = require('mkdirp')
+const EventEmitter = require('events').EventEmitter
 const EventStore = require('orbit-db-eventstore')
 const FeedStore = require('orbit-db-feedstore')
 const KeyValueStore = require('orbit-db-kvstore')
 const CounterStore = require('orbit-db-counterstore')
 const DocumentStore = require('orbit-db-docstore')
-const Pubsub = require('orbit-db-pubsub')
 const Cache = require('orbit-db-cache')
 const Keystore = require('orbit-db-keystore')
-const AccessController = require('./ipfs-access-controller')
+const IPFSAccessController = require('./ipfs-access-controller')
+const OrbitDBAccessController = require('./orbitdb-access-controller')
+const CustomAccessController = require('./custom-access-controller')
+const EncryptedStore = require('./encrypted-store')
+const CompactingStore = require('./compacting-store')
 const OrbitDBAddress = require('./orbit-db-address')
 const createDBManifest = require('./db-manifest')
+const Catalog = require('./catalog')
+const Identities = require('./identities')
+const ReplicationProtocol = require('./replication-protocol')
+const MessageType = ReplicationProtocol.MessageType
+const validateHead = require('./head-validator')
+const PeerScores = require('./peer-scores')
+const Replication = require('./replication')
+const StorageCache = require('./storage-cache')
+const MemoryStorage = require('./memory-storage')
+const LevelStorage = require('./level-storage')
+const createMemoryKeystore = require('./memory-keystore')
+const PassphraseKeystore = require('./passphrase-keystore')
+const Archive = require('./archive')
+const HeadsProtocol = require('./heads-protocol')
+const PubsubBroker = require('./pubsub-broker')
+const MemoryBroker = require('./memory-broker')
+const WebSocketBroker = require('./websocket-broker')
 
 const Logger = require('logplease')
 const logger = Logger.create("orbit-db")
 Logger.setLogLevel('NONE')
 
-const validTypes = ['eventlog', 'feed', 'docstore', 'counter', 'keyvalue']
+const databaseTypes = {
+  'eventlog': EventStore,
+  'feed': FeedStore,
+  'docstore': DocumentStore,
+  'counter': CounterStore,
+  'keyvalue': KeyValueStore,
+}
+
+// Directory of the instances that keep everything in memory
+const memoryDirectory = ':memory:'
+
+const defaultAntiEntropy = {
+  interval: 30000,
+  jitter: 5000,
+}
+
+// Number of the entries of the outbox sent with the heads at most
+const maxUnannouncedHeads = 16
+
+// Options of the stores that can be saved in the manifest
+const manifestStoreOptions = ['indexBy', 'compaction']
+
+const accessControllerTypes = {
+  'ipfs': IPFSAccessController,
+  'orbitdb': OrbitDBAccessController,
+  'custom': CustomAccessController,
+}
 
 class OrbitDB {
   constructor(ipfs, directory, options = {}) {
     this._ipfs = ipfs
     this.id = options.peerId || (this._ipfs._peerInfo ? this._ipfs._peerInfo.id._idB58String : 'default')
-    this._pubsub = options && options.broker 
-      ? new options.broker(this._ipfs) 
-      : new Pubsub(this._ipfs, this.id)
+    // Broker connecting the peers of the databases, see pubsub-broker.js for the interface
+    const Broker = options.broker || PubsubBroker
+    this._pubsub = new Broker(this._ipfs, this.id, options.brokerOptions)
     this.stores = {}
-    this.types = validTypes
+    this.events = new EventEmitter()
+    this._peerVersions = {} // replication protocol versions negotiated with peers
+    this._peerKeys = {} // public keys announced by the peers of each database
+    this._replicationOptions = options.replication || {}
+    this._peerScores = new PeerScores(this._replicationOptions)
     this.directory = directory || './orbitdb'
-    this.keystore = new Keystore(path.join(this.directory, this.id, '/keystore'))
+    // With the ':memory:' directory the keys and the databases are kept in
+    // memory, nothing is written to the file system
+    this._inMemory = this.directory === memoryDirectory
+    this.keystore = openKeystore(options.keystore || createKeystore(this.directory, this.id), options.passphrase)
     this.key = this.keystore.getKey(this.id) || this.keystore.createKey(this.id)
+    this.storage = options.storage || (this._inMemory ? new MemoryStorage() : null) // storage of the caches, LevelDB through orbit-db-cache if not given
+    this._ownsStorage = !options.storage
+    this._catalog = new Catalog(path.join(this.directory, this.id, '/catalog'), this.storage)
+    // Named identities the databases can be opened with, see identities.js
+    this.identities = new Identities(this.keystore, this.id, path.join(this.directory, this.id, '/identities'), this.storage)
+
+    // Exchange the replication messages over direct streams,
+    // pubsub is then only used to find the peers of a database
+    if (this._replicationOptions.directStreams) {
+      if (HeadsProtocol.isSupported(this._ipfs)) {
+        this._headsProtocol = new HeadsProtocol(this._ipfs, this._onMessage.bind(this))
+        this._headsProtocol.start()
+      } else {
+        logger.warn(`Direct streams are not supported by the IPFS instance, using pubsub for replication`)
+      }
+    }
+  }
+
+  get types () {
+    return Object.keys(databaseTypes)
   }
 
   /* Databases */
@@ -71,6 +147,230 @@ class OrbitDB {
     return this.docs(address, options)
   }
 
+  /*
+    Returns the databases that have been opened locally, most recently opened first
+
+    options = {
+      type: 'feed', // only return databases of this type
+      name: 'name', // only return databases with this name, can be a RegExp
+    }
+  */
+  async databases (options = {}) {
+    const matches = (e) => {
+      if (options.type && e.type !== options.type)
+        return false
+
+      if (options.name instanceof RegExp)
+        return options.name.test(e.name)
+
+      return !options.name || e.name === options.name
+    }
+
+    const databases = (await this._catalog.list())
+      .filter(matches)
+      .sort((a, b) => b.lastOpened - a.lastOpened)
+
+    return Promise.all(databases.map(async (e) => {
+      const address = OrbitDBAddress.parse(e.address)
+      // Open databases know their current number of entries
+      const store = this.stores[e.address]
+      return {
+        address: address,
+        name: e.name,
+        type: e.type,
+        manifest: e.manifest,
+        entries: store ? store._oplog.length : e.entries,
+        size: this._inMemory ? null : await Catalog.size(e.directory, address),
+        lastOpened: e.lastOpened,
+      }
+    }))
+  }
+
+  /*
+    Returns the peers currently in the room of an open database:
+    [{
+      id: 'QmPeer...', // id of the peer
+      key: '04...', // OrbitDB public key of the peer, null until the peer has sent us a message
+      joined: 1514761200000, // time when the peer joined
+    }]
+  */
+  peers (address) {
+    const store = this.stores[address.toString()]
+    if (!store)
+      return []
+
+    return store.replication.peers
+      .map(e => ({ id: e.id, key: this._peerKey(address.toString(), e.id), joined: e.joined }))
+  }
+
+  // Returns the replication status of each open database, see Replication.status()
+  replicationStatus () {
+    return Object.keys(this.stores).reduce((res, address) => {
+      res[address] = this.stores[address].replicationStatus()
+      return res
+    }, {})
+  }
+
+  /*
+    Removes the database and its local data, the database doesn't need to be open.
+    The database of the access rights of a database with admins is dropped too,
+    unless another local database uses the same one.
+
+    options = {
+      directory: './orbitdb', // directory in which the database files are, defaults to where it was opened from
+      unpin: false, // unpin the entries and the manifest of the database from IPFS, if the IPFS instance supports pinning
+      storage: null, // storage of the database, defaults to the storage it's open with or the storage of the instance
+    }
+  */
+  async drop (address, options = {}) {
+    const dbAddress = OrbitDBAddress.parse(address).toV0()
+    const addr = dbAddress.toString()
+
+    const database = await this._catalog.get(dbAddress)
+    const directory = options.directory || (database ? database.directory : this.directory)
+
+    // The manifest is saved in the directory the database was opened from and
+    // the data of the database in the directory of the instance, see _createStore()
+    const directories = [directory, this.directory].filter((e, idx, arr) => arr.indexOf(e) === idx)
+    const openStorage = this.stores[addr] ? this.stores[addr].options.storage : null
+    const storage = options.storage || openStorage || this.storage
+    const caches = []
+    for (let dir of directories) {
+      const cache = await this._loadCache(dir, dbAddress, storage)
+      if (cache)
+        caches.push(cache)
+    }
+
+    let haveDB = false
+    for (let cache of caches)
+      haveDB = haveDB || !!(await cache.get(`${addr}/_manifest`))
+
+    if (!database && !haveDB)
+      throw new Error(`Database '${addr}' doesn't exist!`)
+
+    const manifest = database ? database.manifest : JSON.parse(await this._readObject(dbAddress.root))
+    const accessLog = await this._accessLog(manifest)
+
+    // Collect the hashes of the entries before the database is closed
+    let hashes = []
+    const store = this.stores[addr]
+    if (store) {
+      hashes = store._oplog.values.map(e => e.hash)
+    } else if (options.unpin) {
+      let heads = []
+      for (let cache of caches)
+        heads = heads.concat(await cache.get('_localHeads') || [], await cache.get('_remoteHeads') || [])
+      hashes = await this._entryHashes(heads.map(e => e.hash))
+    }
+
+    // Remove the local data of the database, the index is rebuilt from the entries.
+    // The keys are removed one at a time before the cache is closed with the database.
+    for (let cache of caches) {
+      for (let key of [`${addr}/_manifest`, addr, '_localHeads', '_remoteHeads', 'snapshot', 'queue', '_outbox'])
+        await cache.del(key)
+    }
+
+    if (store) {
+      await store.close()
+      // Wait for the database of the access rights to be closed too
+      if (store.access.close)
+        await store.access.close()
+    }
+
+    for (let cache of caches)
+      await cache.close()
+
+    // The access controller is not unpinned, the same access
+    // controller is used by the databases with the same writers
+    if (options.unpin)
+      await this._unpin(hashes.concat([dbAddress.root]))
+
+    if (!this._inMemory) {
+      for (let dir of directories)
+        await removeDirectory(path.join(dir, dbAddress.root))
+    }
+
+    await this._catalog.remove(dbAddress)
+
+    logger.debug(`Dropped database '${addr}'`)
+    this.events.emit('db.drop', addr)
+
+    if (accessLog && await this._catalog.get(accessLog) && !(await this._usesAccessLog(accessLog)))
+      await this.drop(accessLog, { unpin: options.unpin })
+  }
+
+  /*
+    Writes the database to an archive file, so that it can be imported on another
+    node without replicating it from peers. The archive has the manifest, the access
+    controller and the entries of the database, and the database of the access
+    rights if the access controller has one, eg. for databases with admins.
+  */
+  async export (address, file) {
+    const dbAddress = OrbitDBAddress.parse(address).toV0()
+    const databases = []
+    await this._exportDatabase(dbAddress, databases)
+    await Archive.writeArchive(file, Archive.createArchive(databases))
+    logger.debug(`Exported '${dbAddress}' to '${file}'`)
+  }
+
+  /*
+    Imports the databases of an archive written by export(), the databases
+    can then be opened with 'localOnly: true'. Returns the address of the
+    exported database.
+
+    options = {
+      directory: './orbitdb', // directory in which to place the database files
+      storage: null, // storage of the databases, defaults to the storage of the instance
+    }
+  */
+  async import (file, options = {}) {
+    const directory = options.directory || this.directory
+    const storage = options.storage || this.storage
+    const archive = await Archive.readArchive(file)
+
+    // Put the objects to IPFS first, so that nothing is registered if any of them doesn't match its hash
+    for (let database of archive.databases) {
+      const dbAddress = OrbitDBAddress.parse(database.address).toV0()
+
+      if (this.stores[dbAddress.toString()])
+        throw new Error(`Database '${dbAddress}' is open, close it before importing`)
+
+      if (!database.objects[dbAddress.root])
+        throw new Error(`Couldn't import '${file}': the manifest of '${dbAddress}' is missing`)
+
+      for (let hash of Object.keys(database.objects)) {
+        const dag = await this._ipfs.object.put(Buffer.from(database.objects[hash]))
+        if (dag.toJSON().multihash.toString() !== hash)
+          throw new Error(`Couldn't import '${file}': object '${hash}' doesn't match its content`)
+      }
+    }
+
+    for (let database of archive.databases) {
+      const dbAddress = OrbitDBAddress.parse(database.address).toV0()
+      const manifest = JSON.parse(database.objects[dbAddress.root])
+      const heads = database.heads.map(e => Object.assign(JSON.parse(database.objects[e]), { hash: e }))
+
+      // Keep the heads we already have, the log is joined from all of them
+      const cache = await this._loadCache(directory, dbAddress, storage)
+      const remoteHeads = (await cache.get('_remoteHeads') || [])
+        .filter(e => !database.heads.includes(e.hash))
+      await cache.set('_remoteHeads', remoteHeads.concat(heads))
+
+      await this._saveDBManifest(directory, dbAddress, storage)
+      await this._catalog.add(dbAddress, manifest, directory)
+      logger.debug(`Imported '${dbAddress}' from '${file}'`)
+    }
+
+    return OrbitDBAddress.parse(archive.databases[0].address).toV0()
+  }
+
+  // Encrypts the keys in the keystore with a new passphrase. The keys of
+  // a keystore that is not encrypted yet are encrypted with the passphrase.
+  async changePassphrase (passphrase, newPassphrase) {
+    PassphraseKeystore.changePassphrase(this.keystore, passphrase, newPassphrase)
+    logger.debug(`Changed the passphrase of the keystore`)
+  }
+
   async disconnect () {
     // Close all open databases
     const databases = Object.values(this.stores)
@@ -83,6 +383,16 @@ class OrbitDB {
     if (this._pubsub) 
       this._pubsub.disconnect()
 
+    if (this._headsProtocol)
+      this._headsProtocol.stop()
+
+    await this._catalog.close()
+    await this.identities.close()
+
+    // The databases of an instance in memory are gone once it's disconnected
+    if (this._inMemory && this._ownsStorage)
+      this.storage.clear()
+
     // Remove all databases from the state
     this.stores = {}
   }
@@ -96,85 +406,467 @@ class OrbitDB {
   async _createStore (Store, address, options) {
     const addr = address.toString()
 
+    Replication.validateMode(options.replicationMode || 'both')
+
+    if (options.compaction && !CompactingStore.isSupported(Store))
+      throw new Error(`Database '${addr}' can't be compacted, only the key-value and counter databases can`)
+
+    const key = this._identityKey(options.identity)
+
     let accessController
     if (options.accessControllerAddress) {
-      accessController = new AccessController(this._ipfs)
-      await accessController.load(options.accessControllerAddress)
+      const accessControllerOptions = Object.assign({}, options.accessController, { identity: options.identity })
+      accessController = await this._loadAccessController(options.accessControllerAddress, options.accessControllerType, accessControllerOptions)
+    }
+
+    // Compaction prunes the history that the encrypted entries are decrypted from
+    if (options.compaction && accessController && accessController.encrypted) {
+      await accessController.close()
+      throw new Error(`Database '${addr}' is encrypted, encrypted databases can't be compacted`)
     }
 
-    const cache = await this._loadCache(this.directory, address)
+    const cache = await this._loadCache(this.directory, address, options.storage || this.storage)
 
     const opts = Object.assign({ replicate: true }, options, { 
       accessController: accessController, 
       keystore: this.keystore,
+      key: key,
       cache: cache,
     })
 
-    const store = new Store(this._ipfs, this.id, address, opts)
+    // Encrypted databases encrypt and decrypt the entries for the readers, the
+    // key-value and counter databases opened with compaction write checkpoints
+    let DatabaseStore = Store
+    if (accessController && accessController.encrypted)
+      DatabaseStore = EncryptedStore(Store)
+    else if (options.compaction)
+      DatabaseStore = CompactingStore(Store)
+
+    // The log reads the keys it accepts entries from when the store is created.
+    // Access controllers with 'logKeys' give it the keys of everyone who has
+    // ever been allowed to write, and update them when the access rights change.
+    const storeOpts = accessController && accessController.logKeys
+      ? Object.assign({}, opts, { accessController: Object.create(accessController, { write: { value: accessController.logKeys } }) })
+      : opts
+
+    const store = new DatabaseStore(this._ipfs, this.id, address, storeOpts)
+    store.access = accessController || store.access
     store.events.on('write', this._onWrite.bind(this))
     store.events.on('closed', this._onClosed.bind(this))
+    store.events.on('replicated', (address, logsCount) => this.events.emit('db.replicated', address, logsCount))
+
+    // The manifest of the database, eg. its metadata
+    store.manifest = options.manifest
+
+    // Replication state of the database, the replication
+    // is paused if the database was opened with 'replicate: false'
+    store.replication = new Replication(store, {
+      mode: opts.replicationMode,
+      paused: !opts.replicate,
+      onChange: this._onReplicationChanged.bind(this),
+    })
+    store.replicationStatus = () => store.replication.status()
+    store.pendingAnnouncements = () => store.replication.outbox.map(e => e.hash)
+    store.peers = () => this.peers(addr)
+
+    // Save the outbox and the synced heads before the database closes its
+    // cache, saving them afterwards would open the cache again
+    const close = store.close.bind(store)
+    store.close = async () => {
+      await store.replication.settle()
+      return close()
+    }
+
+    // The log only checks the keys of the entries. If it lets anyone write, the
+    // access controller decides, so every entry joined from the peers or the
+    // cache is checked, not only the heads. Like the log does with the keys,
+    // the entries fetched together are not joined if any of them is not allowed.
+    if (accessController && accessController.write.includes('*')) {
+      const oplog = store._oplog
+      const join = oplog.join.bind(oplog)
+      oplog.join = async (log, size, id) => {
+        const rejected = log.values.find(e => !oplog.has(e) && !accessController.canAppend(e))
+        if (rejected) {
+          logger.warn(`Didn't join the entries of '${addr}', entry '${rejected.hash}' is not allowed to be appended`)
+          return oplog
+        }
+
+        return join(log, size, id)
+      }
+    }
+
+    await store.replication.load()
+
+    // Compare the heads with the peers periodically to repair missed messages
+    const antiEntropy = opts.antiEntropy !== undefined ? opts.antiEntropy : this._replicationOptions.antiEntropy
+    if (antiEntropy)
+      store.replication.startAntiEntropy(Object.assign({}, defaultAntiEntropy, antiEntropy), this._sendDigest.bind(this))
 
     this.stores[addr] = store
 
+    // Let the access controller know which database it controls
+    if (accessController)
+      accessController.setStore(store)
+
     if(opts.replicate && this._pubsub)
-      this._pubsub.subscribe(addr, this._onMessage.bind(this), this._onPeerConnected.bind(this))
+      this._subscribe(addr)
 
+    this.events.emit('db.open', addr, store)
     return store
   }
 
+  // Callback for when the replication of a database was paused, resumed or its mode changed
+  _onReplicationChanged (store) {
+    const address = store.address.toString()
+
+    if (!this._pubsub || this.stores[address] !== store)
+      return
+
+    // Leave the room while paused so that we don't receive any messages
+    if (store.replication.paused) {
+      this._pubsub.unsubscribe(address)
+      store.replication.peers.forEach(e => this._onPeerDisconnected(address, e.id))
+    } else {
+      this._subscribe(address)
+      // Let the peers already in the room know about our heads
+      this._sendHeads(store)
+    }
+  }
+
   // Callback for local writes to the database. We the update to pubsub.
   _onWrite (address, entry, heads) {
     if(!heads) throw new Error("'heads' not defined")
-    if(this._pubsub) this._pubsub.publish(address, heads)
+    const store = this.stores[address]
+    if (!store)
+      return
+
+    // Keep the entry in the outbox until a peer acknowledges it
+    store.replication.written(entry)
+      .catch(e => this._onError(address, e))
+
+    this.events.emit('db.write', address, entry, heads)
+
+    if (store.replication.canSend)
+      this._send(address, MessageType.HEADS, { heads: heads, ack: true })
   }
 
-  // Callback for receiving a message from the network
-  async _onMessage (address, heads) {
+  // Callback for receiving a message from the network, sender is the id of
+  // the peer the broker or the direct stream received the message from
+  async _onMessage (address, content, sender) {
     const store = this.stores[address]
+    if (!store)
+      return
+
+    let message
+    try {
+      message = ReplicationProtocol.parseMessage(content)
+    } catch (e) {
+      const peer = sender || (content && typeof content.from === 'string' ? content.from : null)
+      this._peerScores.update(peer, PeerScores.Score.INVALID)
+      this._rejectHeads(store, peer, `Invalid message: ${e.message}`)
+      return
+    }
+
+    // The messages are scored and answered by the peer they came from, so that
+    // a peer can't get another one ignored by claiming to be it. This also tells
+    // apart the peers using version 0 of the protocol, which don't say who they are.
+    if (sender)
+      message = Object.assign({}, message, { from: sender })
+
+    // Ignore the peers that send too many messages or keep sending invalid heads
+    const limited = this._peerScores.allow(message.from)
+    if (limited) {
+      this._rejectHeads(store, message.from, limited)
+      return
+    }
+
+    if (message.from && typeof message.key === 'string')
+      this._peerKeys[address] = Object.assign({}, this._peerKeys[address], { [message.from]: message.key })
+
+    // Reply to the peers using the unversioned protocol with the array of heads
+    if (message.from && message.version === 0)
+      this._peerVersions[message.from] = 0
+    else if (message.from && this._peerVersions[message.from] === 0)
+      delete this._peerVersions[message.from]
+
+    if (!ReplicationProtocol.isSupported(message.version)) {
+      // Tell the peer which versions we support, so that it can use one of them
+      logger.warn(`Peer '${message.from}' sent a message for '${address}' in unsupported replication protocol version ${message.version}`)
+      this._send(address, MessageType.VERSION, { versions: ReplicationProtocol.supportedVersions }, message.from)
+      return
+    }
+
     try {
-      logger.debug(`Received heads for '${address}':\n`, JSON.stringify(heads, null, 2))
-      await store.sync(heads)
+      switch (message.type) {
+        case MessageType.HEADS:
+          if (store.replication.canReceive)
+            await this._onHeads(store, message)
+          break
+        case MessageType.HEADS_REQUEST:
+          this._onHeadsRequest(store, message)
+          break
+        case MessageType.HEADS_DIGEST:
+          this._onDigest(store, message)
+          break
+        case MessageType.ACK:
+          await store.replication.acknowledged(message.payload.heads || [])
+          store.events.emit('replicate.ack', address, message.from, message.payload.heads || [])
+          break
+        case MessageType.VERSION:
+          this._onVersion(store, message)
+          break
+        default:
+          // Message types of newer versions of the protocol
+          logger.debug(`Unknown message type '${message.type}' from '${message.from}'`)
+      }
     } catch (e) {
-      logger.error(e)
+      this._onError(address, e)
+    }
+  }
+
+  async _onHeads (store, message) {
+    const address = store.address.toString()
+    const peer = message.from
+
+    if (!Array.isArray(message.payload.heads)) {
+      this._peerScores.update(peer, PeerScores.Score.INVALID)
+      this._rejectHeads(store, peer, `Invalid message: heads is not an array`)
+      return
+    }
+
+    logger.debug(`Received heads for '${address}':\n`, JSON.stringify(message.payload.heads, null, 2))
+
+    // Only sync the heads that are valid entries and that the writer was allowed to write
+    const heads = []
+    for (let head of message.payload.heads) {
+      const reason = await validateHead(head, this.keystore, this._ipfs)
+      if (reason) {
+        this._peerScores.update(peer, PeerScores.Score.INVALID)
+        this._rejectHeads(store, peer, reason, head)
+      } else if (!store.access.canAppend(head)) {
+        this._peerScores.update(peer, PeerScores.Score.UNAUTHORIZED)
+        this._rejectHeads(store, peer, `Head '${head.hash}' was written by '${head.key}' who doesn't have write access`, head)
+      } else {
+        this._peerScores.update(peer, PeerScores.Score.VALID)
+        heads.push(head)
+      }
+    }
+
+    // The database may be closing after the heads were validated
+    if (heads.length === 0 || store.replication.closing)
+      return
+
+    store.replication.headsReceived(peer, heads)
+    await store.replication.syncing(store.sync(heads))
+
+    if (message.payload.ack && message.from)
+      this._send(address, MessageType.ACK, { heads: heads.map(e => e.hash) }, message.from)
+  }
+
+  _onHeadsRequest (store, message) {
+    const hashes = message.payload.heads
+    if (!Array.isArray(hashes))
+      return this._sendHeads(store, message.from)
+
+    const heads = hashes
+      .map(e => store._oplog.get(e))
+      .filter(e => e !== undefined)
+
+    if (heads.length > 0 && store.replication.canSend)
+      this._send(store.address.toString(), MessageType.HEADS, { heads: heads }, message.from)
+  }
+
+  // Compares the digest of the peer's heads to ours and exchanges the heads that differ
+  _onDigest (store, message) {
+    const address = store.address.toString()
+    const heads = store._oplog.heads
+    const digest = ReplicationProtocol.digest(heads)
+
+    if (digest === message.payload.digest)
+      return
+
+    const theirs = message.payload.heads
+    if (!Array.isArray(theirs)) {
+      // Reply with the hashes of our heads so that the peer can tell which ones differ
+      this._send(address, MessageType.HEADS_DIGEST, { digest: digest, heads: heads.map(e => e.hash) }, message.from)
+      return
+    }
+
+    // Send the heads the peer doesn't have
+    const missing = heads.filter(e => !theirs.includes(e.hash))
+    if (missing.length > 0 && store.replication.canSend)
+      this._send(address, MessageType.HEADS, { heads: missing }, message.from)
+
+    // Ask for the heads we don't have
+    const wanted = theirs.filter(e => !store._oplog.has(e))
+    if (wanted.length > 0 && store.replication.canReceive)
+      this._send(address, MessageType.HEADS_REQUEST, { heads: wanted }, message.from)
+  }
+
+  // Sends the digest of our heads to the peers of the database
+  _sendDigest (store) {
+    const digest = ReplicationProtocol.digest(store._oplog.heads)
+    this._send(store.address.toString(), MessageType.HEADS_DIGEST, { digest: digest })
+  }
+
+  _rejectHeads (store, peer, reason, head) {
+    logger.warn(`Rejected heads from '${peer}' for '${store.address}': ${reason}`)
+    store.events.emit('replicate.rejected', store.address.toString(), peer, reason, head)
+  }
+
+  _onVersion (store, message) {
+    const address = store.address.toString()
+    const peerVersion = ReplicationProtocol.negotiate(message.payload.versions)
+
+    if (peerVersion === null) {
+      const err = new Error(`Peer '${message.from}' supports replication protocol versions ${JSON.stringify(message.payload.versions)} which are incompatible with versions ${JSON.stringify(ReplicationProtocol.supportedVersions)}`)
+      store.events.emit('replicate.error', address, err)
+      this._onError(address, err)
+      return
     }
+
+    // Send the heads again in a version the peer can read
+    this._peerVersions[message.from] = peerVersion
+    this._sendHeads(store, message.from)
+  }
+
+  _subscribe (address) {
+    this._pubsub.subscribe(address, this._onMessage.bind(this), this._onPeerConnected.bind(this), this._onPeerDisconnected.bind(this))
   }
 
   // Callback for when a peer connected to a database
-  _onPeerConnected (address, peer, room) {
+  _onPeerConnected (address, peer) {
     logger.debug(`New peer '${peer}' connected to '${address}'`)
     const store = this.stores[address]
     if (store) {
+      const joined = !store.replication.isPresent(peer)
+      if (joined)
+        store.replication.peerJoined(peer)
+
       // Send the newly connected peer our latest heads
-      let heads = store._oplog.heads
-      if (heads.length > 0) {
-        logger.debug(`Send latest heads of '${address}':\n`, JSON.stringify(heads, null, 2))
-        room.sendTo(peer, JSON.stringify(heads))
-      }
+      this._sendHeads(store, peer)
       store.events.emit('peer', peer)
+
+      if (joined) {
+        store.events.emit('peer.join', address, peer, this._peerKey(address, peer))
+        this.events.emit('peer.join', address, peer, this._peerKey(address, peer))
+      }
+    }
+  }
+
+  // Callback for when a peer left a database
+  _onPeerDisconnected (address, peer) {
+    logger.debug(`Peer '${peer}' left '${address}'`)
+    const store = this.stores[address]
+    if (store && store.replication.isPresent(peer)) {
+      store.replication.peerLeft(peer)
+      store.events.emit('peer.exit', address, peer, this._peerKey(address, peer))
+      this.events.emit('peer.exit', address, peer, this._peerKey(address, peer))
     }
   }
 
+  // Returns the key the peer writes to the database with, null until the peer has sent a message
+  _peerKey (address, peer) {
+    return (this._peerKeys[address] || {})[peer] || null
+  }
+
+  _sendHeads (store, peer) {
+    // Include the latest entries that haven't been announced,
+    // they're not in the heads if the database wasn't loaded
+    const heads = store._oplog.heads
+      .concat(store.replication.unannounced(maxUnannouncedHeads))
+
+    if (heads.length > 0 && store.replication.canSend) {
+      logger.debug(`Send latest heads of '${store.address}':\n`, JSON.stringify(heads, null, 2))
+      this._send(store.address.toString(), MessageType.HEADS, { heads: heads, ack: true }, peer)
+    }
+  }
+
+  // Sends a message to the peer, or to everyone in the database if peer is not given
+  _send (address, type, payload, peer) {
+    if (!this._pubsub)
+      return
+
+    // Announce the key the database writes with
+    const store = this.stores[address]
+    const key = (store ? store.key : this.key).getPublic('hex')
+
+    if (!peer) {
+      // With direct streams the message is sent to each peer of the database, and
+      // so it is if any of the peers uses the unversioned protocol, they can't
+      // read the published messages
+      const peers = this._pubsub.peers(address)
+      if (this._headsProtocol || peers.some(e => this._peerVersions[e] === 0))
+        return peers.forEach(e => this._send(address, type, payload, e))
+
+      return this._pubsub.publish(address, ReplicationProtocol.createMessage(type, this.id, payload, ReplicationProtocol.version, key))
+    }
+
+    const message = ReplicationProtocol.createMessage(type, this.id, payload, this._peerVersions[peer], key)
+    if (message === null)
+      return
+
+    if (!this._headsProtocol)
+      return this._pubsub.sendTo(address, peer, message)
+
+    // Fall back to the broker for the peers that don't support direct streams
+    this._headsProtocol.send(peer, address, message)
+      .catch(e => {
+        logger.debug(`Couldn't send a direct message to '${peer}': ${e.message}`)
+        this._pubsub.sendTo(address, peer, message)
+      })
+  }
+
   // Callback when database was closed
   _onClosed (address) {
     logger.debug(`Database '${address}' was closed`)
 
+    const store = this.stores[address]
+
     // Remove the callback from the database
-    this.stores[address].events.removeAllListeners('closed')
+    store.events.removeAllListeners('closed')
+
+    // Close the access controller, eg. the database holding the access rights
+    if (store.access.close)
+      store.access.close().catch(e => this._onError(address, e))
+
+    // Stop the anti-entropy rounds
+    store.replication.close()
 
     // Unsubscribe from pubsub
     if(this._pubsub)
       this._pubsub.unsubscribe(address)
 
+    // Remember the number of entries for when the database is not open
+    this._catalog.update(address, { entries: store._oplog.length })
+      .catch(e => this._onError(address, e))
+
     delete this.stores[address]
+    delete this._peerKeys[address]
+    this.events.emit('db.close', address)
+  }
+
+  // Errors that happen outside of the calls to OrbitDB, eg. while replicating
+  _onError (address, err) {
+    logger.error(err)
+    // Emitting 'error' without listeners would throw
+    if (this.events.listenerCount('error') > 0)
+      this.events.emit('error', address, err)
   }
 
   /* Create and Open databases */
 
   /*
     options = {
-      admin: [], // array of keys that are the admins of this database (same as write access)
+      admin: [], // array of keys that are the admins of this database (same as write access), admins can grant and revoke write access
       write: [], // array of keys that can write to this database
+      read: [], // array of keys that can read this database, the entries are encrypted if set
+      accessController: { type: 'ipfs' }, // type of the access controller and options for it, 'orbitdb' if admins are given
+      meta: {}, // metadata saved in the manifest, eg. description, creator or schema version
+      storeOptions: {}, // options saved in the manifest and used by every peer to open the database, only 'indexBy' and 'compaction'
       directory: './orbitdb', // directory in which to place the database files
+      storage: null, // storage of the database cache, eg. new MemoryStorage(), defaults to the storage of the instance
+      identity: null, // name of the identity to write with, the key of the identity is given write access by default
       overwrite: false, // whether we should overwrite the existing database if it exists
     }
   */
@@ -184,49 +876,73 @@ class OrbitDB {
     if (!OrbitDB.isValidType(type))
       throw new Error(`Invalid database type '${type}'`)
 
-    // The directory to look databases from can be passed in as an option
+    // The directory and the storage to look databases from can be passed in as options
     const directory = options.directory || this.directory
+    const storage = options.storage || this.storage
     logger.debug(`Creating database '${name}' as ${type} in '${directory}'`)
 
     if (OrbitDBAddress.isValid(name))
       throw new Error(`Given database name is an address. Please give only the name of the database!`)
 
-    // Create an AccessController
-    const accessController = new AccessController(this._ipfs)
-    /* Disabled temporarily until we do something with the admin keys */
+    const key = this._identityKey(options.identity)
+
+    // Create an AccessController, the admins of a database can change its access rights
+    const accessControllerOptions = options.accessController || {}
+    const accessControllerType = accessControllerOptions.type
+      || (options.admin && options.admin.length > 0 ? 'orbitdb' : 'ipfs')
+
+    if (!OrbitDB.isValidAccessControllerType(accessControllerType))
+      throw new Error(`Invalid access controller type '${accessControllerType}'`)
+
+    const AccessController = accessControllerTypes[accessControllerType]
+    const accessController = new AccessController(this, Object.assign({}, accessControllerOptions, {
+      name: `${type}/${name}`,
+      identity: options.identity,
+    }))
+
     // Add admins of the database to the access controller
-    // if (options && options.admin) {
-    //   options.admin.forEach(e => accessController.add('admin', e))
-    // } else {
-    //   // Default is to add ourselves as the admin of the database
-    //   accessController.add('admin', this.key.getPublic('hex'))
-    // }
+    if (options.admin)
+      options.admin.forEach(e => accessController.add('admin', e))
+
     // Add keys that can write to the database
     if (options && options.write && options.write.length > 0) {
       options.write.forEach(e => accessController.add('write', e))
     } else {
       // Default is to add ourselves as the admin of the database
-      accessController.add('write', this.key.getPublic('hex'))
+      accessController.add('write', key.getPublic('hex'))
+    }
+    // Add keys that can read the database and encrypt the entries for them,
+    // we can always read the databases we create
+    if (options && options.read && options.read.length > 0) {
+      options.read
+        .concat([key.getPublic('hex')])
+        .filter((e, idx, arr) => arr.indexOf(e) === idx)
+        .forEach(e => accessController.add('read', e))
+      accessController.enableEncryption()
     }
     // Save the Access Controller in IPFS
     const accessControllerAddress = await accessController.save()
 
     // Save the manifest to IPFS
-    const manifestHash = await createDBManifest(this._ipfs, name, type, accessControllerAddress)
+    const manifestHash = await createDBManifest(this._ipfs, name, type, accessControllerAddress, {
+      accessControllerType: accessControllerType,
+      meta: options.meta,
+      storeOptions: options.storeOptions,
+    })
 
     // Create the database address
-    const dbAddress = OrbitDBAddress.parse(path.join('/orbitdb', manifestHash, name))
+    const dbAddress = new OrbitDBAddress(manifestHash, name)
 
     // // Load local cache
-    const haveDB = await this._loadCache(directory, dbAddress)
-      .then(cache => cache ? cache.get(path.join(dbAddress.toString(), '_manifest')) : null)
+    const haveDB = await this._loadCache(directory, dbAddress, storage)
+      .then(cache => cache ? cache.get(`${dbAddress}/_manifest`) : null)
       .then(data => data !== undefined && data !== null)
 
     if (haveDB && !options.overwrite)
       throw new Error(`Database '${dbAddress}' already exists!`)
 
     // Save the database locally
-    await this._saveDBManifest(directory, dbAddress)
+    await this._saveDBManifest(directory, dbAddress, storage)
 
     logger.debug(`Created database '${dbAddress}'`)
 
@@ -240,7 +956,13 @@ class OrbitDB {
         create: false // wether to create the database
         type: TODO
         overwrite: TODO
-
+        accessController: {} // options for the access controller, eg. 'canAppend' function for the 'custom' type
+        replicate: true // whether to replicate the database, it can be resumed later with db.replication.resume()
+        replicationMode: 'both' // 'both', 'pull' to only sync the heads of peers or 'push' to only send our heads
+        antiEntropy: false // compare the heads with the peers periodically, true or { interval: 30000, jitter: 5000 }
+        identity: null // name of the identity to write with, see orbitdb.identities
+        compaction: false // whether a key-value or counter database can be compacted to checkpoints, see db.compact()
+        retention: { entries: 0, days: 0 } // history kept when a key-value or counter database is compacted
       }
    */
   async open (address, options = {}) {
@@ -248,8 +970,9 @@ class OrbitDB {
     options = Object.assign({ localOnly: false, create: false }, options)
     logger.debug(`Open database '${address}'`)
 
-    // The directory to look databases from can be passed in as an option
+    // The directory and the storage to look databases from can be passed in as options
     const directory = options.directory || this.directory
+    const storage = options.storage || this.storage
     logger.debug(`Look from '${directory}'`)
 
     // If address is just the name of database, check the options to crate the database
@@ -257,7 +980,7 @@ class OrbitDB {
       if (!options.create) {
         throw new Error(`'options.create' set to 'false'. If you want to create a database, set 'options.create' to 'true'.`)
       } else if (options.create && !options.type) {
-        throw new Error(`Database type not provided! Provide a type with 'options.type' (${validTypes.join('|')})`)
+        throw new Error(`Database type not provided! Provide a type with 'options.type' (${Object.keys(databaseTypes).join('|')})`)
       } else {
         logger.warn(`Not a valid OrbitDB address '${address}', creating the database`)
         options.overwrite = options.overwrite ? options.overwrite : true
@@ -265,12 +988,13 @@ class OrbitDB {
       }
     }
 
-    // Parse the database address
-    const dbAddress = OrbitDBAddress.parse(address)
+    // Parse the database address. Databases are always opened with their CIDv0 root,
+    // so that all peers use the same address regardless of how it was given
+    const dbAddress = OrbitDBAddress.parse(address).toV0()
 
     // Check if we have the database
-    const haveDB = await this._loadCache(directory, dbAddress)
-      .then(cache => cache ? cache.get(path.join(dbAddress.toString(), '_manifest')) : null)
+    const haveDB = await this._loadCache(directory, dbAddress, storage)
+      .then(cache => cache ? cache.get(`${dbAddress}/_manifest`) : null)
       .then(data => data !== undefined && data !== null)
 
     logger.debug((haveDB ? 'Found' : 'Didn\'t find') + ` database '${dbAddress}'`)
@@ -289,32 +1013,176 @@ class OrbitDB {
     const manifest = JSON.parse(dag.toJSON().data)
     logger.debug(`Manifest for '${dbAddress}':\n${JSON.stringify(manifest, null, 2)}`)
 
+    // Make sure we know how to open the type from the manifest
+    if (!OrbitDB.isValidType(manifest.type))
+      throw new Error(`Database '${dbAddress}' is of unknown type '${manifest.type}'. Add the type with OrbitDB.addDatabaseType()`)
+
+    // Databases created before the access controller type was saved use the IPFS access controller
+    const accessControllerType = manifest.accessControllerType || 'ipfs'
+
+    if (!OrbitDB.isValidAccessControllerType(accessControllerType))
+      throw new Error(`Database '${dbAddress}' uses an unknown access controller type '${accessControllerType}'. Add the type with OrbitDB.addAccessControllerType()`)
+
     // Make sure the type from the manifest matches the type that was given as an option
     if (options.type && manifest.type !== options.type)
       throw new Error(`Database '${dbAddress}' is type '${manifest.type}' but was opened as '${options.type}'`)
 
     // Save the database locally
-    await this._saveDBManifest(directory, dbAddress)
+    await this._saveDBManifest(directory, dbAddress, storage)
+    await this._catalog.add(dbAddress, manifest, directory)
+
+    // Use the store options saved in the manifest for the options that were not
+    // given. The manifest comes from the network, so only the options that change
+    // how the entries are loaded and indexed are taken from it.
+    const manifestOptions = manifest.storeOptions || {}
+    const storeOptions = Object.keys(manifestOptions)
+      .filter(e => {
+        if (!manifestStoreOptions.includes(e))
+          logger.warn(`Ignored option '${e}' in the manifest of '${dbAddress}'`)
+        return manifestStoreOptions.includes(e) && options[e] === undefined
+      })
+      .reduce((res, e) => Object.assign(res, { [e]: manifestOptions[e] }), {})
 
     // Open the the database
-    options = Object.assign({}, options, { accessControllerAddress: manifest.accessController })
+    options = Object.assign({}, options, storeOptions, {
+      accessControllerAddress: manifest.accessController,
+      accessControllerType: accessControllerType,
+      manifest: manifest,
+    })
     return this._openDatabase(dbAddress, manifest.type, options)
   }
 
+  // Adds the database and the database of its access rights to the exported databases
+  async _exportDatabase (dbAddress, databases) {
+    const addr = dbAddress.toString()
+    if (databases.find(e => e.address === addr))
+      return
+
+    const store = this.stores[addr]
+    const database = await this._catalog.get(dbAddress)
+    const directory = database ? database.directory : this.directory
+    const cache = await this._loadCache(directory, dbAddress, store ? store.options.storage : this.storage)
+    const haveDB = cache ? await cache.get(`${addr}/_manifest`) : null
+
+    if (!store && !haveDB)
+      throw new Error(`Database '${addr}' doesn't exist!`)
+
+    // The heads of the log if the database is open and loaded, and the heads in the cache
+    const cachedHeads = cache
+      ? (await cache.get('_localHeads') || []).concat(await cache.get('_remoteHeads') || [])
+      : []
+    const heads = (store ? store._oplog.heads : []).concat(cachedHeads)
+      .map(e => e.hash)
+      .filter((e, idx, arr) => arr.indexOf(e) === idx)
+
+    const manifest = await this._readObject(dbAddress.root)
+    const accessControllerHash = JSON.parse(manifest).accessController.split('/').pop()
+    const accessController = await this._readObject(accessControllerHash)
+
+    const objects = await this._readEntries(heads)
+    objects[dbAddress.root] = manifest
+    objects[accessControllerHash] = accessController
+
+    databases.push({
+      address: addr,
+      heads: heads,
+      objects: objects,
+    })
+
+    // The access rights of databases with admins are kept in a database too
+    const access = JSON.parse(accessController)
+    if (access.log && OrbitDBAddress.isValid(access.log))
+      await this._exportDatabase(OrbitDBAddress.parse(access.log).toV0(), databases)
+  }
+
+  async _readObject (hash) {
+    const dag = await this._ipfs.object.get(hash)
+    return dag.toJSON().data.toString()
+  }
+
+  // Returns the data of the given entries and the entries they point to by their hash
+  async _readEntries (heads) {
+    const objects = {}
+    await CompactingStore.readHistory(heads, async (hash) => {
+      objects[hash] = await this._readObject(hash)
+      return JSON.parse(objects[hash])
+    })
+
+    return objects
+  }
+
+  // Returns the hashes of the given entries and the entries they point to,
+  // down to the checkpoints of the databases that were compacted
+  async _entryHashes (heads) {
+    const entries = await CompactingStore.readHistory(heads, async (hash) => {
+      try {
+        const dag = await this._ipfs.object.get(hash)
+        return JSON.parse(dag.toJSON().data)
+      } catch (e) {
+        logger.warn(`Couldn't read entry '${hash}':`, e)
+        return null
+      }
+    })
+
+    return Object.keys(entries)
+  }
+
+  // Unpins the objects from IPFS. IPFS instances without the pin API, eg. js-ipfs 0.27,
+  // don't pin the objects, so there's nothing to unpin.
+  async _unpin (hashes) {
+    if (!this._ipfs.pin) {
+      logger.debug(`IPFS instance doesn't support pinning, nothing to unpin`)
+      return
+    }
+
+    for (let hash of hashes) {
+      try {
+        await this._ipfs.pin.rm(hash)
+      } catch (e) {
+        // The objects of the database are not necessarily pinned
+        logger.debug(`Couldn't unpin '${hash}':`, e.message)
+      }
+    }
+  }
+
+  // Returns the address of the database of the access rights, or null if the access controller doesn't have one
+  async _accessLog (manifest) {
+    try {
+      const access = JSON.parse(await this._readObject(manifest.accessController.split('/').pop()))
+      return access.log && OrbitDBAddress.isValid(access.log) ? OrbitDBAddress.parse(access.log).toV0() : null
+    } catch (e) {
+      logger.warn(`Couldn't read the access controller '${manifest.accessController}':`, e)
+      return null
+    }
+  }
+
+  // Returns true if a local database keeps its access rights in the given database
+  async _usesAccessLog (accessLog) {
+    for (let database of await this._catalog.list()) {
+      const log = await this._accessLog(database.manifest)
+      if (log && log.toString() === accessLog.toString())
+        return true
+    }
+
+    return false
+  }
+
   // Save the database locally
-  async _saveDBManifest (directory, dbAddress) {
-    const cache = await this._loadCache(directory, dbAddress)
+  async _saveDBManifest (directory, dbAddress, storage) {
+    const cache = await this._loadCache(directory, dbAddress, storage)
     // let localData = Object.assign({}, cache.get(dbAddress.toString()), {
     //   manifest: dbAddress.root
     // })
-    await cache.set(path.join(dbAddress.toString(), '_manifest'), dbAddress.root)
+    await cache.set(`${dbAddress}/_manifest`, dbAddress.root)
     logger.debug(`Saved manifest to IPFS as '${dbAddress.root}'`)
   }
 
-  async _loadCache (directory, dbAddress) {
+  async _loadCache (directory, dbAddress, storage) {
     let cache
     try {
-      cache = await Cache.load(directory, dbAddress)
+      cache = storage
+        ? await StorageCache.load(storage, directory, dbAddress)
+        : await Cache.load(directory, dbAddress)
     } catch (e) {
       logger.warn("Couldn't load Cache:", e)
     }
@@ -322,32 +1190,210 @@ class OrbitDB {
     return cache
   }
 
+  // Returns the key of the identity, or the key of the instance if no identity is given
+  _identityKey (identity) {
+    if (!identity)
+      return this.key
+
+    const key = this.identities.get(identity)
+    if (!key)
+      throw new Error(`Identity '${identity}' doesn't exist`)
+
+    return key
+  }
+
+  async _loadAccessController (address, type, options = {}) {
+    const AccessController = accessControllerTypes[type]
+
+    if (!AccessController)
+      throw new Error(`Invalid access controller type '${type}'`)
+
+    const accessController = new AccessController(this, options)
+    await accessController.load(address)
+    return accessController
+  }
+
   async _openDatabase (address, type, options) {
-    if (type === 'counter')
-      return this._createStore(CounterStore, address, options)
-    else if (type === 'eventlog')
-      return this._createStore(EventStore, address, options)
-    else if (type === 'feed')
-      return this._createStore(FeedStore, address, options)
-    else if (type === 'docstore')
-      return this._createStore(DocumentStore, address, options)
-    else if (type === 'keyvalue')
-      return this._createStore(KeyValueStore, address, options)
-    else
+    // Look up the Store class registered for the type
+    const Store = databaseTypes[type]
+
+    if (!Store)
       throw new Error(`Invalid database type '${type}'`)
+
+    return this._createStore(Store, address, options)
   }
 
   static isValidType (type) {
-    return validTypes.includes(type)
+    return Object.keys(databaseTypes).includes(type)
+  }
+
+  static addDatabaseType (type, store) {
+    if (!type || typeof type !== 'string')
+      throw new Error(`Database type must be a string`)
+
+    if (typeof store !== 'function')
+      throw new Error(`Store for database type '${type}' must be a class`)
+
+    if (databaseTypes[type])
+      throw new Error(`Database type '${type}' already exists`)
+
+    databaseTypes[type] = store
+  }
+
+  static getDatabaseTypes () {
+    return Object.assign({}, databaseTypes)
+  }
+
+  static isValidAccessControllerType (type) {
+    return Object.keys(accessControllerTypes).includes(type)
   }
 
-  static create () {
-    return new Error('Not implemented yet!')
+  static addAccessControllerType (type, accessController) {
+    if (!type || typeof type !== 'string')
+      throw new Error(`Access controller type must be a string`)
+
+    if (typeof accessController !== 'function')
+      throw new Error(`Access controller for type '${type}' must be a class`)
+
+    if (accessControllerTypes[type])
+      throw new Error(`Access controller type '${type}' already exists`)
+
+    accessControllerTypes[type] = accessController
   }
 
-  static open () {
-    return new Error('Not implemented yet!')
+  static getAccessControllerTypes () {
+    return Object.assign({}, accessControllerTypes)
   }
+
+  /*
+    options = {
+      directory: './orbitdb', // directory in which to place the databases and the keystore, ':memory:' to keep them in memory
+      peerId: null, // id of the instance, defaults to the id of the IPFS node
+      keystore: null, // keystore to use instead of the one in 'directory/<id>/keystore'
+      passphrase: null, // passphrase the keys are encrypted with in the keystore, the keys are not encrypted if not given
+      broker: null, // broker class to connect the peers instead of IPFS pubsub, see pubsub-broker.js
+      brokerOptions: {}, // options given to the broker, eg. { url: 'ws://localhost:4003' } for the WebSocket broker
+      storage: null, // storage of the database caches and the catalog, see memory-storage.js, LevelDB by default
+      replication: {}, // limits for the messages from peers, eg. { maxMessages: 100, interval: 1000, minScore: -20 },
+                       // 'antiEntropy' options for all databases, and 'directStreams: true' to send the
+                       // replication messages over direct libp2p streams instead of pubsub
+    }
+  */
+  static async create (ipfs, options = {}) {
+    if (!ipfs)
+      throw new Error('IPFS instance not defined')
+
+    // Make sure the IPFS node has started before we use it
+    await waitForIpfs(ipfs)
+
+    const peerId = options.peerId || (await ipfs.id()).id
+    const directory = options.directory || './orbitdb'
+    const keystorePath = path.join(directory, peerId, '/keystore')
+
+    if (directory !== memoryDirectory)
+      await createDirectory(directory)
+
+    let keystore = options.keystore
+    try {
+      keystore = openKeystore(keystore || createKeystore(directory, peerId), options.passphrase)
+      // Make sure we can read (or create) our key before the instance is used
+      keystore.getKey(peerId) || keystore.createKey(peerId)
+    } catch (e) {
+      throw new Error(`Couldn't open the keystore in '${keystorePath}': ${e.message}`)
+    }
+
+    // The keystore is already unlocked
+    const opts = Object.assign({}, options, { peerId: peerId, keystore: keystore, passphrase: null })
+    return new OrbitDB(ipfs, directory, opts)
+  }
+
+  // Alias for create()
+  static async open (ipfs, options = {}) {
+    return OrbitDB.create(ipfs, options)
+  }
+}
+
+// Resolves once the IPFS node is ready, or rejects if it fails to start.
+// IPFS API clients (ipfs-api) don't emit events and can be used right away.
+const waitForIpfs = (ipfs) => {
+  return new Promise((resolve, reject) => {
+    if (typeof ipfs.once !== 'function' || (ipfs.isOnline && ipfs.isOnline()))
+      return resolve()
+
+    const onReady = () => {
+      ipfs.removeListener('error', onError)
+      resolve()
+    }
+
+    const onError = (e) => {
+      ipfs.removeListener('ready', onReady)
+      reject(new Error(`IPFS failed to start: ${e.message || e}`))
+    }
+
+    ipfs.once('ready', onReady)
+    ipfs.once('error', onError)
+  })
 }
 
+const createKeystore = (directory, id) => {
+  return directory === memoryDirectory
+    ? createMemoryKeystore()
+    : new Keystore(path.join(directory, id, '/keystore'))
+}
+
+// Unlocks the keystore if a passphrase is given, the keys of an encrypted keystore can't be read without it
+const openKeystore = (keystore, passphrase) => {
+  if (passphrase)
+    return PassphraseKeystore.unlockKeystore(keystore, passphrase)
+
+  if (PassphraseKeystore.isLocked(keystore))
+    throw new Error(`The keystore is encrypted, give the 'passphrase' to unlock it`)
+
+  return keystore
+}
+
+// Removes the given directory and its contents, the file system is not available in the browser
+const removeDirectory = (directory) => {
+  if (typeof fs.readdir !== 'function')
+    return Promise.resolve()
+
+  return new Promise((resolve, reject) => {
+    fs.lstat(directory, (err, stats) => {
+      if (err)
+        return err.code === 'ENOENT' ? resolve() : reject(err)
+
+      if (!stats.isDirectory())
+        return fs.unlink(directory, (err) => err ? reject(err) : resolve())
+
+      fs.readdir(directory, (err, files) => {
+        if (err)
+          return reject(err)
+
+        Promise.all(files.map(e => removeDirectory(path.join(directory, e))))
+          .then(() => fs.rmdir(directory, (err) => err ? reject(err) : resolve()))
+          .catch(reject)
+      })
+    })
+  })
+}
+
+// Creates the given directory, mkdirp is not available in the browser
+const createDirectory = (directory) => {
+  return new Promise((resolve, reject) => {
+    if (typeof mkdirp !== 'function')
+      return resolve()
+
+    mkdirp(directory, (err) => err ? reject(err) : resolve())
+  })
+}
+
+// Brokers that can be given in the 'broker' option
+OrbitDB.PubsubBroker = PubsubBroker
+OrbitDB.MemoryBroker = MemoryBroker
+OrbitDB.WebSocketBroker = WebSocketBroker
+
+// Storages that can be given in the 'storage' option
+OrbitDB.MemoryStorage = MemoryStorage
+OrbitDB.LevelStorage = LevelStorage
+
 module.exports = OrbitDB
@@ -1,17 +1,22 @@
 'use strict'
 
+const encryption = require('./encryption')
+
 class AccessController {
   constructor () {
     this._access = { 
       admin: [], 
       write: [],  
-      read: [], // Not used atm
+      read: [], // Entries are encrypted for the readers if set
     }
   }
 
   /* Overridable functions */
   async load (address) {}
   async save () {}
+  async close () {}
+  // Called with the database once it has been opened
+  setStore (store) {}
 
   /* Properties */
   get admin () {
@@ -23,12 +28,47 @@ class AccessController {
     return this._access.write.concat(this._access.admin)
   }
 
-  // Not used atm
   get read () {
-    return this._access.read
+    // Both admins and read keys can read
+    return this._access.read.concat(this._access.admin)
+  }
+
+  get encrypted () {
+    return this._access.encryption !== undefined && this._access.encryption !== null
+  }
+
+  // The public key that the entries are encrypted for
+  get encryptionKey () {
+    return this.encrypted ? this._access.encryption.publicKey : null
   }
 
   /* Public Methods */
+  // Creates the key pair that the entries are encrypted for
+  // and shares its private key with the readers
+  enableEncryption () {
+    const key = encryption.createKey()
+    const keys = {}
+    this.read.forEach(e => {
+      try {
+        keys[e] = encryption.shareKey(key, e)
+      } catch (err) {
+        throw new Error(`Invalid read key '${e}'`)
+      }
+    })
+    this._access.encryption = { publicKey: key.getPublic('hex'), keys: keys }
+  }
+
+  // Returns the key to decrypt the entries with, or null if not a reader
+  getDecryptionKey (key) {
+    const shared = this.encrypted ? this._access.encryption.keys[key.getPublic('hex')] : null
+    return shared ? encryption.openKey(key, shared) : null
+  }
+
+  // Returns true if the writer of the entry is allowed to write to the database
+  canAppend (entry) {
+    return this.write.includes(entry.key) || this.write.includes('*')
+  }
+
   add (access, key) {
     // if(!Object.keys(this._access).includes(access))
     //   throw new Error(`unknown access level: ${access}`)
@@ -0,0 +1,98 @@
+'use strict'
+
+const fs = require('fs')
+
+const format = 'orbitdb-archive'
+const version = 1
+
+/*
+  Archive of databases, written by orbitdb.export() and read by orbitdb.import():
+
+  {
+    format: 'orbitdb-archive',
+    version: 1,
+    databases: [{
+      address: '/orbitdb/Qm.../name', // address of the database
+      heads: ['Qm...'], // hashes of the heads of the database
+      objects: { 'Qm...': '{...}' }, // data of the IPFS objects of the database by their hash:
+                                     // the manifest, the access controller and the entries
+    }]
+  }
+
+  The objects are verified against their hashes when they're imported,
+  so an archive can't be changed without the import noticing it.
+*/
+
+const createArchive = (databases) => {
+  return {
+    format: format,
+    version: version,
+    databases: databases,
+  }
+}
+
+// Returns the archive in the content, or throws an error if it's not a valid archive
+const parseArchive = (content) => {
+  let archive
+  try {
+    archive = JSON.parse(content)
+  } catch (e) {
+    throw new Error(`Not an OrbitDB archive: ${e.message}`)
+  }
+
+  if (!archive || archive.format !== format)
+    throw new Error(`Not an OrbitDB archive`)
+
+  if (archive.version !== version)
+    throw new Error(`Unsupported archive version '${archive.version}'`)
+
+  if (!Array.isArray(archive.databases))
+    throw new Error(`Invalid archive, 'databases' is not an array`)
+
+  archive.databases.forEach((e) => {
+    if (!e || typeof e.address !== 'string' || !Array.isArray(e.heads) || !e.objects || typeof e.objects !== 'object')
+      throw new Error(`Invalid archive, the databases need an 'address', 'heads' and 'objects'`)
+
+    const missing = e.heads.filter(hash => typeof e.objects[hash] !== 'string')
+    if (missing.length > 0)
+      throw new Error(`Invalid archive, the heads of '${e.address}' are missing: ${missing.join(', ')}`)
+  })
+
+  return archive
+}
+
+const readArchive = (file) => {
+  return new Promise((resolve, reject) => {
+    if (typeof fs.readFile !== 'function')
+      return reject(new Error(`Archives can't be read without a file system`))
+
+    fs.readFile(file, 'utf8', (err, content) => {
+      if (err)
+        return reject(err)
+
+      try {
+        resolve(parseArchive(content))
+      } catch (e) {
+        reject(new Error(`Couldn't import '${file}': ${e.message}`))
+      }
+    })
+  })
+}
+
+const writeArchive = (file, archive) => {
+  return new Promise((resolve, reject) => {
+    if (typeof fs.writeFile !== 'function')
+      return reject(new Error(`Archives can't be written without a file system`))
+
+    fs.writeFile(file, JSON.stringify(archive), (err) => err ? reject(err) : resolve())
+  })
+}
+
+module.exports = {
+  format: format,
+  version: version,
+  createArchive: createArchive,
+  parseArchive: parseArchive,
+  readArchive: readArchive,
+  writeArchive: writeArchive,
+}
@@ -0,0 +1,130 @@
+'use strict'
+
+const path = require('path')
+const fs = require('fs')
+const Cache = require('orbit-db-cache')
+const StorageCache = require('./storage-cache')
+
+const addressesKey = '_addresses'
+
+/*
+  Local record of the databases an OrbitDB instance has opened.
+
+  Each database is saved as:
+  {
+    address: '/orbitdb/Qm.../name',
+    name: 'name',
+    type: 'feed',
+    manifest: {}, // the manifest of the database
+    directory: './orbitdb', // directory in which the database files are
+    entries: 0, // number of entries in the database when it was last closed
+    lastOpened: 1514761200000, // time the database was last opened
+  }
+*/
+class Catalog {
+  constructor (directory, storage) {
+    this._cache = storage ? new StorageCache(storage, directory) : new Cache(directory, 'catalog')
+    // Saving to the cache is a read-modify-write of the list of
+    // addresses, so the changes are done one at a time
+    this._queue = Promise.resolve()
+  }
+
+  async list () {
+    const addresses = await this._cache.get(addressesKey) || []
+    const databases = await Promise.all(addresses.map(e => this._cache.get(e)))
+    return databases.filter(e => e !== null && e !== undefined)
+  }
+
+  async get (address) {
+    return this._cache.get(address.toString())
+  }
+
+  // Adds the database or updates its last opened time
+  async add (address, manifest, directory) {
+    return this._update(address, (database) => Object.assign({ entries: 0 }, database, {
+      address: address.toString(),
+      name: manifest.name,
+      type: manifest.type,
+      manifest: manifest,
+      directory: directory,
+      lastOpened: Date.now(),
+    }))
+  }
+
+  async update (address, data) {
+    return this._update(address, (database) => database ? Object.assign({}, database, data) : null)
+  }
+
+  async remove (address) {
+    return this._update(address, () => null)
+  }
+
+  async close () {
+    await this._queue
+    await this._cache.close()
+  }
+
+  _update (address, fn) {
+    const addr = address.toString()
+
+    const update = async () => {
+      const database = fn(await this._cache.get(addr))
+      const addresses = (await this._cache.get(addressesKey) || []).filter(e => e !== addr)
+
+      if (database) {
+        await this._cache.set(addr, database)
+        await this._cache.set(addressesKey, addresses.concat([addr]))
+      } else {
+        await this._cache.del(addr)
+        await this._cache.set(addressesKey, addresses)
+      }
+
+      return database
+    }
+
+    // Keep the queue going even if an update fails
+    const result = this._queue.then(update)
+    this._queue = result.catch(() => {})
+    return result
+  }
+
+  // Returns the size of the files of the database in bytes,
+  // or null if the file system is not available, eg. in the browser
+  static async size (directory, address) {
+    if (typeof fs.stat !== 'function')
+      return null
+
+    return directorySize(path.join(directory, address.root, address.path))
+  }
+}
+
+const stat = (file) => {
+  return new Promise((resolve, reject) => {
+    fs.stat(file, (err, stats) => err ? reject(err) : resolve(stats))
+  })
+}
+
+const readdir = (directory) => {
+  return new Promise((resolve, reject) => {
+    fs.readdir(directory, (err, files) => err ? reject(err) : resolve(files))
+  })
+}
+
+const directorySize = async (file) => {
+  let stats
+  try {
+    stats = await stat(file)
+  } catch (e) {
+    // The database has no files
+    return 0
+  }
+
+  if (!stats.isDirectory())
+    return stats.size
+
+  const files = await readdir(file)
+  const sizes = await Promise.all(files.map(e => directorySize(path.join(file, e))))
+  return sizes.reduce((res, e) => res + e, 0)
+}
+
+module.exports = Catalog
@@ -0,0 +1,336 @@
+'use strict'
+
+const Log = require('ipfs-log')
+const Entry = require('ipfs-log/src/entry')
+const KeyValueStore = require('orbit-db-kvstore')
+const CounterStore = require('orbit-db-counterstore')
+
+const day = 24 * 60 * 60 * 1000
+
+const stores = new Map()
+
+const flatMap = (res, acc) => res.concat(acc)
+const isCheckpoint = (entry) => entry.payload && entry.payload.op === 'CHECKPOINT'
+
+// Orders the entries like the log does, the hash breaks the ties so that every peer picks the same entry
+const compareEntries = (a, b) => {
+  if (a.clock.time !== b.clock.time)
+    return a.clock.time - b.clock.time
+
+  if (a.clock.id !== b.clock.id)
+    return a.clock.id < b.clock.id ? -1 : 1
+
+  return a.hash < b.hash ? -1 : (a.hash > b.hash ? 1 : 0)
+}
+
+/*
+  The checkpoints refer to the entries by a clock of the latest time
+  of each writer. The entries of a writer are written one after another,
+  so a clock covers the entries of a writer up to that time.
+*/
+const clockOf = (entries) => {
+  return entries.filter(e => e.key).reduce((res, e) => {
+    res[e.key] = Math.max(res[e.key] || 0, e.clock.time)
+    return res
+  }, {})
+}
+
+const mergeClocks = (a, b) => {
+  return Object.keys(b).reduce((res, key) => {
+    res[key] = Math.max(res[key] || 0, b[key])
+    return res
+  }, Object.assign({}, a))
+}
+
+const intersectClocks = (a, b) => {
+  return Object.keys(a).filter(key => b[key] !== undefined).reduce((res, key) => {
+    res[key] = Math.min(a[key], b[key])
+    return res
+  }, {})
+}
+
+const covers = (clock, entry) => entry.key !== undefined && clock[entry.key] >= entry.clock.time
+
+/*
+  State of the database types in the checkpoints. state() returns the state
+  of the given entries and entries() returns the entries that are indexed in
+  place of the entries a checkpoint covers.
+*/
+const keyValueState = {
+  // The latest operation of each key. The deleted keys are kept so that
+  // older operations of peers that were offline don't bring them back.
+  state: (entries) => {
+    return entries.reduce((res, e) => {
+      const latest = res[e.payload.key]
+      if (!latest || compareEntries(latest, e) < 0)
+        res[e.payload.key] = { hash: e.hash, clock: e.clock, op: e.payload.op, value: e.payload.value }
+      return res
+    }, {})
+  },
+  entries: (state) => {
+    return Object.keys(state).map(key => ({
+      hash: state[key].hash,
+      clock: state[key].clock,
+      next: [],
+      payload: { op: state[key].op, key: key, value: state[key].value },
+    }))
+  },
+}
+
+const counterState = {
+  // The highest count of each counter
+  state: (entries) => {
+    return entries
+      .filter(e => e.payload.op === 'COUNTER')
+      .reduce((res, e) => mergeClocks(res, e.payload.value.counters), {})
+  },
+  entries: (state, checkpoint) => {
+    return [{
+      hash: checkpoint.hash,
+      clock: checkpoint.clock,
+      next: [],
+      payload: { op: 'COUNTER', key: null, value: { id: checkpoint.clock.id, counters: Object.assign({}, state) } },
+    }]
+  },
+}
+
+const states = new Map([
+  [KeyValueStore, keyValueState],
+  [CounterStore, counterState],
+])
+
+const stateOf = (Store) => {
+  const type = Array.from(states.keys()).find(e => Store === e || Store.prototype instanceof e)
+  return states.get(type)
+}
+
+/*
+  Returns a subclass of the given Store class which can compact its log
+  to a checkpoint of its state, for the key-value and counter databases.
+
+  A checkpoint is an entry with the state of the database and the clock
+  of the entries it covers. The checkpoints are indexed in place of the
+  entries they cover, which are pruned from the history, so the database
+  is loaded and replicated from the heads to the checkpoints only. Every
+  peer indexes the entries that are not covered on top of the state, so
+  the peers that were offline when the checkpoint was written still end
+  up with the same state.
+*/
+const CompactingStore = (Store) => {
+  if (stores.has(Store))
+    return stores.get(Store)
+
+  const State = stateOf(Store)
+
+  class Compacting extends Store {
+    constructor (ipfs, id, address, options) {
+      super(ipfs, id, address, options)
+      this._checkpoints = []
+      this._prune = {} // clock of the entries the checkpoints have pruned
+      this._pruned = new Set() // hashes of the pruned entries not to replicate
+
+      // Index the state of the checkpoints and the entries after them
+      const Index = this.options.Index
+      const compactedLog = this._compactedLog.bind(this)
+      this.options.Index = class extends Index {
+        updateIndex (oplog, entries) {
+          return super.updateIndex(compactedLog(oplog), entries)
+        }
+      }
+      this._index = new this.options.Index(this.id)
+
+      // Don't replicate the history before the checkpoints
+      this._loader.on('load.progress', (id, hash, entry) => {
+        if (entry && covers(this._prune, entry))
+          entry.next.forEach(e => this._pruned.add(e))
+      })
+      const load = this._loader.load.bind(this._loader)
+      this._loader.load = (entries) => load(entries.filter(e => !this._pruned.has(e.hash || e)))
+    }
+
+    get checkpoints () {
+      return this._checkpoints.slice()
+    }
+
+    /*
+      Writes a checkpoint of the state of the database. The history the
+      checkpoint covers is pruned, except for the entries kept by the retention.
+
+      retention = {
+        entries: 0, // number of the latest entries to keep
+        days: 0, // keep the history of the checkpoints written in the last days
+      }
+    */
+    async compact (retention = {}) {
+      retention = Object.assign({ entries: 0, days: 0 }, this.options.retention, retention)
+
+      // The state would miss the entries that are still being loaded or replicated
+      const values = this._oplog.values
+      const incomplete = values
+        .filter(e => !covers(this._prune, e))
+        .find(e => e.next.some(hash => !this._oplog.has(hash)))
+
+      if (incomplete)
+        throw new Error(`Can't compact '${this.address}' before its history has been loaded`)
+
+      const clock = this._checkpoints
+        .map(e => e.payload.value.clock)
+        .reduce(mergeClocks, clockOf(values))
+
+      let prune = clockOf(values.slice(0, Math.max(values.length - retention.entries, 0)))
+      if (retention.days > 0) {
+        const before = Date.now() - retention.days * day
+        const covered = this._checkpoints
+          .filter(e => e.payload.value.time <= before)
+          .map(e => e.payload.value.clock)
+          .reduce(mergeClocks, {})
+        prune = intersectClocks(prune, covered)
+      }
+
+      return this._addOperation({
+        op: 'CHECKPOINT',
+        key: null,
+        value: {
+          state: State.state(this._compactedLog(this._oplog).values),
+          clock: clock,
+          prune: mergeClocks(this._prune, prune),
+          time: Date.now(),
+        },
+      })
+    }
+
+    // Loads the entries from the heads to the checkpoints
+    async load (amount) {
+      amount = amount ? amount : this.options.maxHistory
+
+      const localHeads = await this._cache.get('_localHeads') || []
+      const remoteHeads = await this._cache.get('_remoteHeads') || []
+      const heads = localHeads.concat(remoteHeads)
+
+      if (heads.length > 0)
+        this.events.emit('load', this.address.toString(), heads)
+
+      heads.forEach(e => this._replicationInfo.max = Math.max(this._replicationInfo.max, e.clock.time))
+
+      const entries = await this._loadEntries(heads.map(e => e.hash), amount)
+      if (entries.length > 0) {
+        const log = new Log(this._ipfs, this._oplog.id, entries, null, null, this.key, this.access.write)
+        await this._oplog.join(log, -1, this._oplog.id)
+        this._replicationInfo.progress = Math.max(this._replicationInfo.progress, this._oplog.length)
+      }
+
+      if (heads.length > 0)
+        this._index.updateIndex(this._oplog)
+
+      this.events.emit('ready', this.address.toString(), this._oplog.heads)
+    }
+
+    async _loadEntries (heads, amount) {
+      const entries = {}
+      let prune = this._prune
+      let queue = []
+
+      const fetch = async (hashes) => {
+        hashes = hashes.filter((e, idx) => hashes.indexOf(e) === idx && !entries[e] && !this._oplog.has(e))
+        const fetched = await Promise.all(hashes.map(e => Entry.fromMultihash(this._ipfs, e)))
+        fetched.forEach(e => entries[e.hash] = e)
+        queue = queue.concat(fetched)
+      }
+
+      await fetch(heads)
+
+      while (queue.length > 0 && (amount < 0 || Object.keys(entries).length < amount)) {
+        // The latest entry first, so that the checkpoints are found before the entries they cover
+        queue.sort(compareEntries)
+        const entry = queue.pop()
+
+        if (isCheckpoint(entry))
+          prune = mergeClocks(prune, entry.payload.value.prune)
+
+        if (!covers(prune, entry))
+          await fetch(entry.next)
+
+        this._onLoadProgress(entry.hash, entry, Object.keys(entries).length)
+      }
+
+      const values = Object.values(entries).sort(compareEntries)
+      return amount < 0 ? values : values.slice(-amount)
+    }
+
+    // A view of the log with the checkpoints replaced by the entries of their state
+    _compactedLog (oplog) {
+      const values = oplog.values
+      this._checkpoints = values.filter(isCheckpoint)
+      this._prune = this._checkpoints
+        .map(e => e.payload.value.prune)
+        .reduce(mergeClocks, {})
+
+      const compacted = this._checkpoints
+        .map(e => State.entries(e.payload.value.state, e))
+        .reduce(flatMap, [])
+        .concat(values.filter(e => !isCheckpoint(e)))
+        .sort(compareEntries)
+
+      return {
+        values: compacted,
+        get heads () {
+          return oplog.heads
+        },
+        get length () {
+          return oplog.length
+        },
+        get (hash) {
+          return oplog.get(hash)
+        },
+      }
+    }
+  }
+
+  stores.set(Store, Compacting)
+  return Compacting
+}
+
+// Returns true if the databases of the given Store class can be compacted
+CompactingStore.isSupported = (Store) => stateOf(Store) !== undefined
+
+/*
+  Reads the entries from the heads to the checkpoints. The history that the
+  checkpoints pruned is not followed, peers that loaded or replicated the
+  database from the checkpoints don't have it. read(hash) returns the entry,
+  or null if it can't be read. Returns the entries by their hash.
+*/
+CompactingStore.readHistory = async (heads, read) => {
+  const entries = {}
+  let prune = {}
+  let queue = []
+
+  const fetch = async (hashes) => {
+    for (let hash of hashes) {
+      if (entries[hash] !== undefined)
+        continue
+
+      const entry = await read(hash)
+      entries[hash] = entry
+      if (entry)
+        queue.push(Object.assign({}, entry, { hash: hash }))
+    }
+  }
+
+  await fetch(heads)
+
+  while (queue.length > 0) {
+    // The latest entry first, so that the checkpoints are found before the entries they cover
+    queue.sort(compareEntries)
+    const entry = queue.pop()
+
+    if (isCheckpoint(entry))
+      prune = mergeClocks(prune, entry.payload.value.prune)
+
+    if (!covers(prune, entry))
+      await fetch(entry.next || [])
+  }
+
+  return entries
+}
+
+module.exports = CompactingStore
@@ -0,0 +1,37 @@
+'use strict'
+
+const IPFSAccessController = require('./ipfs-access-controller')
+
+/*
+  Access controller which lets a function decide if an entry can be
+  appended to the database. The function is called with the entry and
+  the access controller and returns true if the entry is allowed.
+
+  The function is not saved with the database, so every peer needs to
+  give the same function in 'options.canAppend' when opening it.
+
+  The log lets anyone write, so OrbitDB checks every entry the database
+  joins with the function, not only the heads, see OrbitDB._createStore().
+*/
+class CustomAccessController extends IPFSAccessController {
+  constructor (orbitdb, options = {}) {
+    super(orbitdb, options)
+
+    if (typeof options.canAppend !== 'function')
+      throw new Error(`Custom access controller needs a 'canAppend' function`)
+
+    this._canAppend = options.canAppend
+  }
+
+  get write () {
+    // Anyone can write as far as the log is concerned,
+    // the entries are checked with canAppend()
+    return ['*']
+  }
+
+  canAppend (entry) {
+    return this._canAppend(entry, this) === true
+  }
+}
+
+module.exports = CustomAccessController
@@ -1,12 +1,28 @@
-const path = require('path')
+/*
+  Creates a DB manifest file and saves it in IPFS
 
-// Creates a DB manifest file and saves it in IPFS
-const createDBManifest = async (ipfs, name, type, accessControllerAddress) => {
+  options = {
+    accessControllerType: 'ipfs', // type of the access controller
+    meta: {}, // arbitrary metadata of the database, eg. description or schema version
+    storeOptions: {}, // options every peer uses to open the database, 'indexBy' of a docstore
+  }
+*/
+const createDBManifest = async (ipfs, name, type, accessControllerAddress, options = {}) => {
   const manifest = {
     name: name,
     type: type,
-    accessController: path.join('/ipfs', accessControllerAddress),
+    accessController: `/ipfs/${accessControllerAddress}`,
+    accessControllerType: options.accessControllerType || 'ipfs',
   }
+
+  // Only add the optional fields when given so that
+  // the address of the database doesn't change otherwise
+  if (options.meta && Object.keys(options.meta).length > 0)
+    manifest.meta = options.meta
+
+  if (options.storeOptions && Object.keys(options.storeOptions).length > 0)
+    manifest.storeOptions = options.storeOptions
+
   const dag = await ipfs.object.put(Buffer.from(JSON.stringify(manifest)))
   return dag.toJSON().multihash.toString()
 }
@@ -0,0 +1,95 @@
+'use strict'
+
+const encryption = require('./encryption')
+
+const Logger = require('logplease')
+const logger = Logger.create("orbit-db")
+
+const stores = new Map()
+
+/*
+  Returns a subclass of the given Store class which encrypts the
+  payloads of the entries it writes for the readers of the database.
+
+  The entries are decrypted before they're indexed, so get(), iterator()
+  and query() work as usual for the readers. Entries that can't be
+  decrypted are left out of the index.
+*/
+const EncryptedStore = (Store) => {
+  if (stores.has(Store))
+    return stores.get(Store)
+
+  class Encrypted extends Store {
+    constructor (ipfs, id, address, options) {
+      super(ipfs, id, address, options)
+      this._decrypted = new Map()
+      this._decryptionKey = this.access.getDecryptionKey(this.key)
+
+      // Index the decrypted entries
+      const Index = this.options.Index
+      const decryptedLog = this._decryptedLog.bind(this)
+      this.options.Index = class extends Index {
+        updateIndex (oplog, entries) {
+          return super.updateIndex(decryptedLog(oplog), entries)
+        }
+      }
+      this._index = new this.options.Index(this.id)
+
+      // Re-index the entries in case we were given read access
+      this.events.on('access.updated', () => {
+        this._decryptionKey = this.access.getDecryptionKey(this.key)
+        Promise.resolve(this._index.updateIndex(this._oplog))
+          .catch(e => logger.error(e))
+      })
+    }
+
+    async _addOperation (data, ...args) {
+      const encrypted = encryption.encrypt(this.access.encryptionKey, data)
+      return super._addOperation(encrypted, ...args)
+    }
+
+    _decrypt (entry) {
+      if (!encryption.isEncrypted(entry.payload))
+        return entry
+
+      if (!this._decryptionKey)
+        return null
+
+      if (!this._decrypted.has(entry.hash)) {
+        try {
+          const payload = encryption.decrypt(this._decryptionKey, entry.payload)
+          this._decrypted.set(entry.hash, Object.assign({}, entry, { payload: payload }))
+        } catch (e) {
+          logger.warn(`Couldn't decrypt entry '${entry.hash}':`, e)
+          return null
+        }
+      }
+
+      return this._decrypted.get(entry.hash)
+    }
+
+    // A view of the log with the payloads of the entries decrypted
+    _decryptedLog (oplog) {
+      const decrypt = (e) => e ? this._decrypt(e) : null
+      return {
+        get values () {
+          return oplog.values.map(decrypt).filter(e => e !== null)
+        },
+        get heads () {
+          return oplog.heads
+        },
+        get length () {
+          return oplog.length
+        },
+        get (hash) {
+          return decrypt(oplog.get(hash))
+        },
+      }
+    }
+  }
+
+  stores.set(Store, Encrypted)
+  return Encrypted
+}
+
+module.exports = EncryptedStore
@@ -0,0 +1,92 @@
+'use strict'
+
+const crypto = require('crypto')
+const EC = require('elliptic').ec
+const ec = new EC('secp256k1')
+
+const algorithm = 'aes-256-gcm'
+
+// Derives a symmetric key from a private key and another public key (ECDH)
+const deriveKey = (privateKey, publicKey) => {
+  const shared = privateKey.derive(ec.keyFromPublic(publicKey, 'hex').getPublic())
+  return crypto.createHash('sha256')
+    .update(Buffer.from(shared.toArray()))
+    .digest()
+}
+
+// Creates the key pair that the entries of a database are encrypted for
+const createKey = () => ec.genKeyPair()
+
+// Encrypts the data for the owner of the public key. A new key pair is
+// generated for every message, so only the owner of the public key can
+// decrypt it.
+const encrypt = (publicKey, data) => {
+  const ephemeral = ec.genKeyPair()
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(algorithm, deriveKey(ephemeral, publicKey), iv)
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()])
+  return {
+    op: 'ENCRYPTED',
+    publicKey: ephemeral.getPublic('hex'),
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: encrypted.toString('base64'),
+  }
+}
+
+// Decrypts the data encrypted with encrypt() with the private key
+const decrypt = (privateKey, encrypted) => {
+  const key = deriveKey(privateKey, encrypted.publicKey)
+  const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(encrypted.iv, 'hex'))
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'))
+  const decrypted = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()])
+  return JSON.parse(decrypted.toString('utf8'))
+}
+
+// Derives a symmetric key from a passphrase
+const keyFromPassphrase = (passphrase, salt, iterations) => {
+  return crypto.pbkdf2Sync(passphrase, salt, iterations, 32, 'sha256')
+}
+
+// Encrypts the data with a symmetric key, eg. a key derived from a passphrase
+const encryptWithKey = (key, data) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(algorithm, key, iv)
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()])
+  return {
+    op: 'ENCRYPTED',
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: encrypted.toString('base64'),
+  }
+}
+
+// Decrypts the data encrypted with encryptWithKey(), throws if the key is wrong
+const decryptWithKey = (key, encrypted) => {
+  const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(encrypted.iv, 'hex'))
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'))
+  const decrypted = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()])
+  return JSON.parse(decrypted.toString('utf8'))
+}
+
+const isEncrypted = (data) => {
+  return data !== null && typeof data === 'object' && data.op === 'ENCRYPTED'
+}
+
+// Encrypts the private key of the key pair for the owner of the public key
+const shareKey = (key, publicKey) => encrypt(publicKey, key.getPrivate('hex'))
+
+// Decrypts the key pair shared with shareKey() with the private key
+const openKey = (privateKey, shared) => ec.keyFromPrivate(decrypt(privateKey, shared), 'hex')
+
+module.exports = {
+  createKey: createKey,
+  encrypt: encrypt,
+  decrypt: decrypt,
+  keyFromPassphrase: keyFromPassphrase,
+  encryptWithKey: encryptWithKey,
+  decryptWithKey: decryptWithKey,
+  isEncrypted: isEncrypted,
+  shareKey: shareKey,
+  openKey: openKey,
+}
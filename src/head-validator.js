@@ -0,0 +1,95 @@
+'use strict'
+
+const Entry = require('ipfs-log/src/entry')
+
+const isString = (e) => typeof e === 'string' && e.length > 0
+
+// Returns the reason why the structure of the head is not valid, or null if it is
+const validateStructure = (head) => {
+  if (!head || typeof head !== 'object')
+    return 'Head is not an entry'
+
+  if (!isString(head.hash))
+    return 'Head is missing a hash'
+
+  if (!isString(head.id))
+    return `Head '${head.hash}' is missing a log id`
+
+  if (head.payload === undefined)
+    return `Head '${head.hash}' is missing a payload`
+
+  if (!Array.isArray(head.next) || !head.next.every(isString))
+    return `Head '${head.hash}' has invalid next pointers`
+
+  if (!head.clock || !isString(head.clock.id) || !Number.isInteger(head.clock.time))
+    return `Head '${head.hash}' has an invalid clock`
+
+  if (!isString(head.key) || !isString(head.sig))
+    return `Head '${head.hash}' is not signed`
+
+  return null
+}
+
+// Returns true if the signature of the head was made with its key
+const verifySignature = async (head, keystore) => {
+  // The data that was signed when the entry was created
+  const data = {
+    hash: null,
+    id: head.id,
+    payload: head.payload,
+    next: head.next,
+    v: head.v,
+    clock: head.clock,
+  }
+
+  try {
+    const publicKey = await keystore.importPublicKey(head.key)
+    return await keystore.verify(head.sig, publicKey, Buffer.from(JSON.stringify(data)))
+  } catch (e) {
+    return false
+  }
+}
+
+// Returns true if the hash of the head is the hash of its content. The content
+// is saved like ipfs-log saves the entries, the entry is fetched by the hash.
+const verifyHash = async (head, ipfs) => {
+  const entry = {
+    hash: null,
+    id: head.id,
+    payload: head.payload,
+    next: head.next,
+    v: head.v,
+    clock: head.clock,
+    sig: head.sig,
+    key: head.key,
+  }
+
+  try {
+    return await Entry.toMultihash(ipfs, entry) === head.hash
+  } catch (e) {
+    return false
+  }
+}
+
+/*
+  Returns the reason why a head received from a peer is not a valid
+  entry, or null if it's valid. The head is checked for its structure,
+  its signature and its hash, whether its writer is allowed to write to
+  the database is up to the access controller.
+*/
+const validateHead = async (head, keystore, ipfs) => {
+  const reason = validateStructure(head)
+  if (reason)
+    return reason
+
+  if (!(await verifySignature(head, keystore)))
+    return `Head '${head.hash}' has an invalid signature`
+
+  // Otherwise a signed head could point to any other entry
+  if (!(await verifyHash(head, ipfs)))
+    return `Head '${head.hash}' doesn't match the hash of its content`
+
+  return null
+}
+
+module.exports = validateHead
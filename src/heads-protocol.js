@@ -0,0 +1,117 @@
+'use strict'
+
+const pull = require('pull-stream')
+const Pushable = require('pull-pushable')
+const lp = require('pull-length-prefixed')
+
+const Logger = require('logplease')
+const logger = Logger.create("orbit-db")
+
+// libp2p protocol of the direct streams
+const protocol = '/orbitdb/heads/1.0.0'
+
+/*
+  Sends replication messages directly to a peer over a libp2p stream,
+  instead of through the pubsub room of the database.
+
+  Each message is a length-prefixed JSON of:
+  {
+    address: '/orbitdb/Qm.../name', // address of the database
+    message: {}, // the replication message, see replication-protocol.js
+  }
+
+  One stream is opened to each peer we send messages to and it's kept
+  open for the next messages. The peers only read from the streams they
+  accept and only write to the streams they opened.
+*/
+class HeadsProtocol {
+  constructor (ipfs, onMessage) {
+    this._libp2p = ipfs._libp2pNode
+    this._onMessage = onMessage
+    this._streams = {} // peer id -> promise of the stream to the peer
+  }
+
+  start () {
+    this._libp2p.handle(protocol, this._handle.bind(this))
+  }
+
+  stop () {
+    this._libp2p.unhandle(protocol)
+    Object.keys(this._streams).forEach(peer => {
+      this._streams[peer].then(stream => stream.end()).catch(() => {})
+    })
+    this._streams = {}
+  }
+
+  // Sends the message of the database to the peer, rejects if
+  // the peer can't be dialed or doesn't support the protocol
+  async send (peer, address, message) {
+    const stream = await this._connect(peer)
+    stream.push(Buffer.from(JSON.stringify({ address: address, message: message })))
+  }
+
+  _connect (peer) {
+    if (!this._streams[peer]) {
+      this._streams[peer] = new Promise((resolve, reject) => {
+        let peerInfo
+        try {
+          peerInfo = this._libp2p.peerBook.get(peer)
+        } catch (e) {
+          return reject(new Error(`Peer '${peer}' is not connected`))
+        }
+
+        this._libp2p.dial(peerInfo, protocol, (err, conn) => {
+          if (err)
+            return reject(err)
+
+          // Forget the stream when it's closed, the next message opens a new one
+          const stream = Pushable(() => delete this._streams[peer])
+          pull(stream, lp.encode(), conn)
+          resolve(stream)
+        })
+      })
+
+      this._streams[peer].catch(() => delete this._streams[peer])
+    }
+
+    return this._streams[peer]
+  }
+
+  _handle (protocol, conn) {
+    // The messages are from the peer at the other end of the stream
+    conn.getPeerInfo((err, peerInfo) => {
+      if (err) {
+        logger.warn(`Couldn't identify the peer of a stream on '${protocol}': ${err.message}`)
+        return pull(conn, pull.drain(() => {}, () => {}))
+      }
+
+      this._read(conn, peerInfo.id.toB58String())
+    })
+  }
+
+  _read (conn, peer) {
+    const onData = (data) => {
+      let content
+      try {
+        content = JSON.parse(data.toString())
+      } catch (e) {
+        logger.warn(`Received an invalid message on '${protocol}': ${e.message}`)
+        return
+      }
+
+      if (content && typeof content.address === 'string')
+        this._onMessage(content.address, content.message, peer)
+    }
+
+    pull(conn, lp.decode(), pull.drain(onData, () => {}))
+  }
+
+  // Direct streams need a js-ipfs node, IPFS API clients don't expose libp2p
+  static isSupported (ipfs) {
+    return !!ipfs._libp2pNode && typeof ipfs._libp2pNode.handle === 'function'
+  }
+}
+
+HeadsProtocol.protocol = protocol
+
+module.exports = HeadsProtocol
@@ -0,0 +1,66 @@
+'use strict'
+
+const Cache = require('orbit-db-cache')
+const StorageCache = require('./storage-cache')
+
+const namesKey = '_names'
+
+/*
+  Named identities of an OrbitDB instance, which a database can be
+  opened with to write with the key of the identity instead of the
+  key of the instance. The keys are kept in the keystore and the
+  names in a local record, so that the identities can be listed.
+*/
+class Identities {
+  constructor (keystore, id, directory, storage) {
+    this._keystore = keystore
+    this._id = id
+    this._cache = storage ? new StorageCache(storage, directory) : new Cache(directory, 'identities')
+    // Identities are created one at a time so that the list of names is not overwritten
+    this._queue = Promise.resolve()
+  }
+
+  async create (name) {
+    if (!name || typeof name !== 'string')
+      throw new Error(`Identity name must be a string`)
+
+    const create = async () => {
+      if (this.get(name))
+        throw new Error(`Identity '${name}' already exists`)
+
+      const key = this._keystore.createKey(this._keyId(name))
+      const names = await this._cache.get(namesKey) || []
+      await this._cache.set(namesKey, names.concat([name]))
+      return key
+    }
+
+    // Keep the queue going even if creating fails
+    const result = this._queue.then(create)
+    this._queue = result.catch(() => {})
+    return result
+  }
+
+  // Returns the key of the identity, or undefined if it doesn't exist
+  get (name) {
+    return this._keystore.getKey(this._keyId(name))
+  }
+
+  async list () {
+    const names = await this._cache.get(namesKey) || []
+    return names
+      .map(e => ({ name: e, key: this.get(e) }))
+      .filter(e => e.key)
+      .map(e => ({ name: e.name, publicKey: e.key.getPublic('hex') }))
+  }
+
+  async close () {
+    await this._queue
+    await this._cache.close()
+  }
+
+  _keyId (name) {
+    return `${this._id}/identities/${name}`
+  }
+}
+
+module.exports = Identities
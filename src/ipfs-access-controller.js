@@ -3,9 +3,9 @@
 const AccessController = require('./access-controller')
 
 class IPFSAccessController extends AccessController {
-  constructor (ipfs) {
+  constructor (orbitdb, options = {}) {
     super()
-    this._ipfs = ipfs
+    this._ipfs = orbitdb._ipfs
   }
 
   async load (address) {
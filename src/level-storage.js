@@ -0,0 +1,68 @@
+'use strict'
+
+const mkdirp = require('mkdirp')
+const levelup = require('levelup')
+const leveldown = require('leveldown')
+
+/*
+  Storage on an abstract-leveldown backend, LevelDB by default.
+  See memory-storage.js for the storage interface.
+
+  The backend can be any abstract-leveldown compatible store
+  that keeps its data on disk, eg. level-js for IndexedDB or
+  sqldown for SQLite. Use MemoryStorage to keep the data in memory.
+
+  const storage = new LevelStorage(require('level-js'))
+*/
+class LevelStorage {
+  constructor (backend) {
+    this._backend = backend || leveldown
+  }
+
+  open (path) {
+    return new Promise((resolve, reject) => {
+      // LevelDB needs the directory of the database to exist, mkdirp is not available in the browser
+      if (this._backend === leveldown && typeof mkdirp.sync === 'function')
+        mkdirp.sync(path)
+
+      levelup(this._backend(path), (err, db) => err ? reject(err) : resolve(new LevelStore(db)))
+    })
+  }
+}
+
+class LevelStore {
+  constructor (db) {
+    this._db = db
+  }
+
+  get (key) {
+    return new Promise((resolve, reject) => {
+      this._db.get(key, { asBuffer: false }, (err, value) => {
+        if (err)
+          return err.notFound ? resolve(null) : reject(err)
+
+        resolve(value.toString())
+      })
+    })
+  }
+
+  put (key, value) {
+    return new Promise((resolve, reject) => {
+      this._db.put(key, value, (err) => err ? reject(err) : resolve())
+    })
+  }
+
+  del (key) {
+    return new Promise((resolve, reject) => {
+      this._db.del(key, (err) => err ? reject(err) : resolve())
+    })
+  }
+
+  close () {
+    return new Promise((resolve, reject) => {
+      this._db.close((err) => err ? reject(err) : resolve())
+    })
+  }
+}
+
+module.exports = LevelStorage
@@ -0,0 +1,91 @@
+'use strict'
+
+// Topics of the brokers that weren't given a network, by the topic and the peer id
+const defaultNetwork = {}
+
+/*
+  Broker that connects the OrbitDB instances of the same process,
+  eg. for tests that don't need IPFS pubsub. See pubsub-broker.js
+  for the broker interface.
+
+  The messages are delivered asynchronously, like over a network.
+  Brokers given the same 'network' object see each other, brokers
+  without one share a default network.
+
+  const network = {}
+  const orbitdb1 = new OrbitDB(ipfs, './orbitdb/1', { peerId: 'peer1', broker: MemoryBroker, brokerOptions: { network: network } })
+  const orbitdb2 = new OrbitDB(ipfs, './orbitdb/2', { peerId: 'peer2', broker: MemoryBroker, brokerOptions: { network: network } })
+*/
+class MemoryBroker {
+  constructor (ipfs, id, options = {}) {
+    this._id = id
+    this._network = options.network || defaultNetwork
+    this._topics = {}
+  }
+
+  subscribe (topic, onMessage, onPeerJoined, onPeerLeft) {
+    if (this._topics[topic])
+      return
+
+    const subscription = {
+      id: this._id,
+      onMessage: onMessage || (() => {}),
+      onPeerJoined: onPeerJoined || (() => {}),
+      onPeerLeft: onPeerLeft || (() => {}),
+    }
+
+    const peers = this._network[topic] = this._network[topic] || {}
+    Object.values(peers).forEach(e => {
+      deliver(() => e.onPeerJoined(topic, this._id))
+      deliver(() => subscription.onPeerJoined(topic, e.id))
+    })
+
+    peers[this._id] = subscription
+    this._topics[topic] = subscription
+  }
+
+  unsubscribe (topic) {
+    if (!this._topics[topic])
+      return
+
+    const peers = this._network[topic]
+    delete peers[this._id]
+    delete this._topics[topic]
+
+    Object.values(peers).forEach(e => deliver(() => e.onPeerLeft(topic, this._id)))
+
+    if (Object.keys(peers).length === 0)
+      delete this._network[topic]
+  }
+
+  publish (topic, message) {
+    this.peers(topic).forEach(e => this.sendTo(topic, e, message))
+  }
+
+  sendTo (topic, peer, message) {
+    const peers = this._network[topic]
+    if (!this._topics[topic] || !peers || !peers[peer])
+      return
+
+    // Copy the message, the receiver shouldn't share objects with the sender
+    const content = JSON.parse(JSON.stringify(message))
+    const subscription = peers[peer]
+    deliver(() => subscription.onMessage(topic, content, this._id))
+  }
+
+  peers (topic) {
+    const peers = this._network[topic]
+    if (!this._topics[topic] || !peers)
+      return []
+
+    return Object.keys(peers).filter(e => e !== this._id)
+  }
+
+  disconnect () {
+    Object.keys(this._topics).forEach(e => this.unsubscribe(e))
+  }
+}
+
+const deliver = (fn) => setTimeout(fn, 0)
+
+module.exports = MemoryBroker
@@ -0,0 +1,46 @@
+'use strict'
+
+const Keystore = require('orbit-db-keystore')
+
+// The localStorage interface orbit-db-keystore saves the keys in
+class MemoryLocalStorage {
+  constructor () {
+    this._items = new Map()
+  }
+
+  getItem (key) {
+    return this._items.has(key) ? this._items.get(key) : null
+  }
+
+  setItem (key, value) {
+    this._items.set(key, String(value))
+  }
+
+  removeItem (key) {
+    this._items.delete(key)
+  }
+
+  clear () {
+    this._items.clear()
+  }
+
+  get length () {
+    return this._items.size
+  }
+
+  key (index) {
+    const keys = Array.from(this._items.keys())
+    return index < keys.length ? keys[index] : null
+  }
+}
+
+// Returns a keystore that keeps the keys in memory. The constructor of
+// orbit-db-keystore creates the keystore directory, so the keystore is
+// created without it and given a storage in memory instead of the files.
+const createMemoryKeystore = () => {
+  const keystore = Object.create(Keystore.prototype)
+  keystore._storage = new MemoryLocalStorage()
+  return keystore
+}
+
+module.exports = createMemoryKeystore
@@ -0,0 +1,43 @@
+'use strict'
+
+/*
+  Storage that keeps the data in memory, it's lost when the process exits.
+
+  A storage opens the key-value stores in which the databases keep their
+  cache, and is given in the 'storage' option of OrbitDB or of a database.
+  It implements:
+
+    open(path)
+      Returns a promise of the store for the given path, opening the same
+      path again returns a store with the same data. The store implements:
+        get(key) - returns a promise of the value, null if there's no value for the key
+        put(key, value) - saves the value, values are strings
+        del(key) - removes the value
+        close() - closes the store
+*/
+class MemoryStorage {
+  constructor () {
+    this._stores = {} // path -> Map of the values
+  }
+
+  async open (path) {
+    const values = this._stores[path] = this._stores[path] || new Map()
+    return {
+      get: async (key) => values.has(key) ? values.get(key) : null,
+      put: async (key, value) => {
+        values.set(key, value)
+      },
+      del: async (key) => {
+        values.delete(key)
+      },
+      close: async () => {},
+    }
+  }
+
+  // Removes all the data
+  clear () {
+    this._stores = {}
+  }
+}
+
+module.exports = MemoryStorage
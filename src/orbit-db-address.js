@@ -1,47 +1,127 @@
 'use strict'
 
-const path = require('path')
-const multihash = require('multihashes')
+const CID = require('cids')
+
+// Splits an address or a path to its parts. Both '/' and '\' are
+// accepted as separators so that the addresses are the same on all platforms
+const split = (str) => {
+  return str.toString()
+    .split(/[/\\]/)
+    .filter(e => e.trim() !== '')
+}
+
+const normalizePath = (path) => split(path || '').join('/')
+
+// Splits the address to its parts without the '/orbitdb' prefix
+const addressParts = (address) => {
+  const str = address.toString()
+  const parts = split(str)
+
+  if (parts[0] === 'orbitdb' && /^[/\\]orbitdb/.test(str))
+    parts.shift()
+
+  return parts
+}
+
+// sha2-256 multihashes start with the code of the function and the length of the digest
+const isCIDv0 = (str, cid) => {
+  return str.length === 46
+    && str.indexOf('Qm') === 0
+    && cid.multihash.length === 34
+    && cid.multihash[0] === 0x12
+    && cid.multihash[1] === 0x20
+}
 
 class OrbitDBAddress {
   constructor (root, path) {
     this.root = root
-    this.path = path
+    this.path = normalizePath(path)
   }
 
   toString () {
-    return path.join('/orbitdb', this.root, this.path)
+    return ['/orbitdb', this.root, this.path]
+      .filter(e => e !== '')
+      .join('/')
   }
 
-  static isValid (address) {
-    const parts = address.toString()
-      .split('/')
-      .filter((e, i) => !((i === 0 || i === 1) && address.toString().indexOf('/orbit') === 0 && e === 'orbitdb'))
-      .filter(e => e !== '' && e !== ' ')
-
-    const accessControllerHash = parts[0].indexOf('Qm') > -1 ? multihash.fromB58String(parts[0]) : null
+  // Returns true if the address points to the same database. The roots
+  // are compared by their content, so CIDv0 and CIDv1 roots are equal
+  equals (address) {
+    let other
     try {
-      multihash.validate(accessControllerHash)
+      other = address instanceof OrbitDBAddress ? address : OrbitDBAddress.parse(address)
     } catch (e) {
       return false
     }
 
-    return accessControllerHash !== null
+    const cid1 = new CID(this.root)
+    const cid2 = new CID(other.root)
+
+    return this.path === other.path
+      && cid1.codec === cid2.codec
+      && cid1.multihash.equals(cid2.multihash)
   }
 
-  static parse (address) {
-    if (!address) 
-      throw new Error(`Not a valid OrbitDB address: ${address}`)
+  // Returns the address with the root as a CIDv0 (base58, 'Qm...'),
+  // or the same address if the root can't be expressed as a CIDv0
+  toV0 () {
+    const cid = new CID(this.root)
+
+    if (cid.version === 0)
+      return this
 
-    if (!OrbitDBAddress.isValid(address))
-      throw new Error(`Not a valid OrbitDB address: ${address}`)
+    try {
+      return new OrbitDBAddress(cid.toV0().toBaseEncodedString(), this.path)
+    } catch (e) {
+      return this
+    }
+  }
+
+  // Returns the address with the root as a CIDv1, base32 by default
+  // so that it can be used in case-insensitive places, eg. browser URLs
+  toV1 (base = 'base32') {
+    const cid = new CID(this.root)
+    return new OrbitDBAddress(cid.toV1().toBaseEncodedString(base), this.path)
+  }
+
+  // Returns the reason why the address is not valid, or null if it is
+  static validate (address) {
+    if (address === undefined || address === null || address.toString().trim() === '')
+      return 'Address is empty'
+
+    const parts = addressParts(address)
+
+    if (parts.length === 0)
+      return 'Root hash is missing'
+
+    let cid
+    try {
+      cid = new CID(parts[0])
+      CID.validateCID(cid)
+    } catch (e) {
+      return `Root '${parts[0]}' is not a valid CID: ${e.message}`
+    }
+
+    // Strings without a multibase prefix are parsed as base58 CIDv0, which
+    // many short names are too. A CIDv0 is always a sha2-256 hash, 'Qm...'
+    if (cid.version === 0 && !isCIDv0(parts[0], cid))
+      return `Root '${parts[0]}' is not a valid CID: CIDv0 must be a base58 encoded sha2-256 hash`
+
+    return null
+  }
+
+  static isValid (address) {
+    return OrbitDBAddress.validate(address) === null
+  }
+
+  static parse (address) {
+    const reason = OrbitDBAddress.validate(address)
 
-    const parts = address.toString()
-      .split('/')
-      .filter((e, i) => !((i === 0 || i === 1) && address.toString().indexOf('/orbit') === 0 && e === 'orbitdb'))
-      .filter(e => e !== '' && e !== ' ')
+    if (reason)
+      throw new Error(`Not a valid OrbitDB address: ${address}. ${reason}`)
 
-    return new OrbitDBAddress(parts[0], parts.slice(1, parts.length).join('/'))
+    const parts = addressParts(address)
+    return new OrbitDBAddress(parts[0], parts.slice(1).join('/'))
   }
 }
 
@@ -0,0 +1,277 @@
+'use strict'
+
+const IPFSAccessController = require('./ipfs-access-controller')
+const encryption = require('./encryption')
+
+// Access levels that can be changed after the database was created
+const changeableAccess = ['write', 'read']
+
+const copyAccess = (access) => {
+  const copy = {
+    admin: access.admin.slice(),
+    write: access.write.slice(),
+    read: access.read.slice(),
+  }
+
+  if (access.encryption) {
+    copy.encryption = {
+      publicKey: access.encryption.publicKey,
+      keys: Object.assign({}, access.encryption.keys),
+    }
+  }
+
+  return copy
+}
+
+const applyChange = (access, change) => {
+  const keys = access[change.access].filter(e => e !== change.key)
+  access[change.access] = change.op === 'GRANT' ? keys.concat([change.key]) : keys
+
+  // Readers are given the key to decrypt the entries
+  if (change.access === 'read' && access.encryption)
+    access.encryption.keys[change.key] = change.secret
+
+  return access
+}
+
+// Number of the access controllers using each open eventlog of changes. The
+// databases with the same name and admins share the eventlog, so it's closed
+// when the last of them is closed.
+const logUsers = new Map()
+
+const isChange = (e) => {
+  return e
+    && (e.op === 'GRANT' || e.op === 'REVOKE')
+    && changeableAccess.includes(e.access)
+    && typeof e.key === 'string'
+    && typeof e.time === 'number'
+    && (e.heads === undefined || (Array.isArray(e.heads) && e.heads.every(h => typeof h === 'string')))
+    && (e.access !== 'read' || (e.op === 'GRANT' && encryption.isEncrypted(e.secret)))
+}
+
+/*
+  Access controller whose access rights can be changed by the admins
+  after the database has been created. The initial rights are saved
+  to IPFS like in IPFSAccessController and the changes are kept in an
+  eventlog that only the admins can write to.
+
+  Each change records the heads of the database it controls, so entries
+  are checked against the rights in effect when they were written: a
+  change applies to the entries that can't be reached from its heads.
+  Changes recorded without the heads apply to every entry.
+*/
+class OrbitDBAccessController extends IPFSAccessController {
+  constructor (orbitdb, options = {}) {
+    super(orbitdb, options)
+    this._orbitdb = orbitdb
+    this._name = options.name
+    this._identity = options.identity // identity the changes are written with
+    this._initial = copyAccess(this._access)
+    this._changes = []
+    this._histories = new Map() // entries written before each change, see _history()
+    this._logKeys = []
+    this._log = null
+    this._db = null
+    this._store = null
+    this._onUpdate = this._update.bind(this)
+    this._closing = null
+  }
+
+  get log () {
+    return this._log
+  }
+
+  // Keys the log of the database accepts entries from, ie. everyone who has
+  // ever been allowed to write. The array is updated in place when the access
+  // rights change, see OrbitDB._createStore().
+  get logKeys () {
+    return this._logKeys
+  }
+
+  async load (address) {
+    await super.load(address)
+
+    this._log = this._access.log
+    this._initial = copyAccess({
+      admin: this._access.admin || [],
+      write: this._access.write || [],
+      read: this._access.read || [],
+      encryption: this._access.encryption,
+    })
+    this._access = copyAccess(this._initial)
+
+    // Re-use the eventlog if the database is already open
+    this._db = this._orbitdb.stores[this._log] || await this._orbitdb.open(this._log, { identity: this._identity })
+    logUsers.set(this._db, (logUsers.get(this._db) || 0) + 1)
+    this._db.events.on('replicated', this._onUpdate)
+    this._db.events.on('write', this._onUpdate)
+    await this._db.load()
+    this._update()
+  }
+
+  async save () {
+    if (!this._name)
+      throw new Error(`Database name is needed to save the access controller`)
+
+    // Only the admins can write to the eventlog of changes
+    const db = await this._orbitdb.create(`${this._name}/_access`, 'eventlog', {
+      write: this._access.admin,
+      overwrite: true,
+      identity: this._identity,
+    })
+
+    this._log = db.address.toString()
+    this._access = Object.assign({}, this._access, { log: this._log })
+    return super.save()
+  }
+
+  async close () {
+    // Closing again waits for the eventlog to be closed, eg. when the database is dropped
+    if (!this._closing)
+      this._closing = this._closeLog()
+
+    return this._closing
+  }
+
+  setStore (store) {
+    this._store = store
+    this._update()
+  }
+
+  canAppend (entry) {
+    // The access rights at the time the entry was written
+    const access = this._changes
+      .filter(e => !Array.isArray(e.heads) || !this._history(e).has(entry.hash))
+      .reduce(applyChange, copyAccess(this._initial))
+
+    const write = access.write.concat(access.admin)
+    return write.includes(entry.key) || write.includes('*')
+  }
+
+  async grant (access, key) {
+    await this._change('GRANT', access, key)
+  }
+
+  async revoke (access, key) {
+    await this._change('REVOKE', access, key)
+  }
+
+  /* Private methods */
+  async _closeLog () {
+    if (!this._db)
+      return
+
+    const db = this._db
+    this._db = null
+    db.events.removeListener('replicated', this._onUpdate)
+    db.events.removeListener('write', this._onUpdate)
+
+    const users = (logUsers.get(db) || 1) - 1
+    if (users > 0) {
+      logUsers.set(db, users)
+      return
+    }
+
+    logUsers.delete(db)
+    if (this._orbitdb.stores[this._log] === db)
+      await db.close()
+  }
+
+  async _change (op, access, key) {
+    if (!this._db)
+      throw new Error(`Access controller is not loaded`)
+
+    if (!changeableAccess.includes(access))
+      throw new Error(`Access level '${access}' can't be changed`)
+
+    const ownKey = this._db.key.getPublic('hex')
+    if (!this.admin.includes(ownKey))
+      throw new Error(`Not allowed to change the access rights, '${ownKey}' is not an admin`)
+
+    // Record the heads of the database so that the change is applied to the
+    // entries written after it. The time orders the changes between each other.
+    const time = this._store ? this._store._oplog.clock.time : 0
+    const heads = this._store ? this._store._oplog.heads.map(e => e.hash) : []
+    const change = { op: op, access: access, key: key, time: time, heads: heads }
+
+    if (access === 'read') {
+      if (op === 'REVOKE')
+        throw new Error(`Read access can't be revoked, the reader already has the key to decrypt the entries`)
+
+      if (!this.encrypted)
+        throw new Error(`Database is not encrypted, read access can only be given to encrypted databases`)
+
+      // Give the reader the key to decrypt the entries, including the existing ones
+      try {
+        change.secret = encryption.shareKey(this.getDecryptionKey(this._db.key), key)
+      } catch (e) {
+        throw new Error(`Invalid read key '${key}'`)
+      }
+    }
+
+    await this._db.add(change)
+  }
+
+  _update () {
+    if (!this._db)
+      return
+
+    // Apply the changes in the order of the database's clock. Array.sort
+    // is not stable in all environments, so ties keep the order of the log
+    this._changes = this._db.iterator({ limit: -1 }).collect()
+      .map(e => e.payload.value)
+      .filter(isChange)
+      .map((e, idx) => ({ change: e, idx: idx }))
+      .sort((a, b) => a.change.time - b.change.time || a.idx - b.idx)
+      .map(e => e.change)
+
+    this._access = this._changes.reduce(applyChange, copyAccess(this._initial))
+    this._histories.clear()
+
+    // The log verifies entries against everyone who has ever been allowed
+    // to write, when they were allowed is checked in canAppend(). Our own
+    // key is removed when revoked so that we can't write locally either.
+    const ownKey = this._store ? this._store.key.getPublic('hex') : null
+    const everyone = this._initial.write
+      .concat(this._initial.admin)
+      .concat(this._changes.filter(e => e.op === 'GRANT').map(e => e.key))
+      .filter(e => e !== ownKey || this.write.includes(ownKey) || this.write.includes('*'))
+
+    this._logKeys.splice(0, this._logKeys.length, ...new Set(everyone))
+
+    if (this._store)
+      this._store.events.emit('access.updated', this._store.address.toString())
+  }
+
+  // Returns the hashes of the entries written before the change, ie. the entries
+  // that can be reached from the heads of the database when the change was made
+  _history (change) {
+    if (this._histories.has(change))
+      return this._histories.get(change)
+
+    const hashes = new Set()
+    const stack = change.heads.slice()
+    let complete = true
+
+    while (stack.length > 0) {
+      const hash = stack.pop()
+      if (hashes.has(hash))
+        continue
+
+      hashes.add(hash)
+      const entry = this._store ? this._store._oplog.get(hash) : null
+      if (entry)
+        entry.next.forEach(e => stack.push(e))
+      else
+        complete = false
+    }
+
+    // The entries that haven't been loaded yet are looked up again next time
+    if (complete)
+      this._histories.set(change, hashes)
+
+    return hashes
+  }
+}
+
+module.exports = OrbitDBAccessController
@@ -0,0 +1,214 @@
+'use strict'
+
+const crypto = require('crypto')
+const encryption = require('./encryption')
+
+// Item of the keystore with the salt of the passphrase, a value to check the
+// passphrase with and the ids of the keys. The keystore can be in a storage
+// shared with other items, eg. localStorage in the browser, so only these
+// keys are encrypted.
+const passphraseItem = '_passphrase'
+// Item of the keys encrypted with a new passphrase until they're all saved, see lock()
+const pendingItem = '_passphrase.pending'
+const checkValue = 'orbitdb-keystore'
+const iterations = 100000
+
+const parse = (value) => {
+  try {
+    return JSON.parse(value)
+  } catch (e) {
+    return null
+  }
+}
+
+const isKey = (value) => {
+  return value !== null
+    && typeof value === 'object'
+    && typeof value.publicKey === 'string'
+    && typeof value.privateKey === 'string'
+}
+
+// The localStorage interface orbit-db-keystore saves the keys in,
+// the keys are encrypted in the given storage
+class PassphraseStorage {
+  constructor (storage, key) {
+    this._storage = storage
+    this._key = key
+  }
+
+  getItem (id) {
+    const value = this._storage.getItem(id)
+    const encrypted = parse(value)
+    return encryption.isEncrypted(encrypted) ? encryption.decryptWithKey(this._key, encrypted) : value
+  }
+
+  setItem (id, value) {
+    this._storage.setItem(id, JSON.stringify(encryption.encryptWithKey(this._key, String(value))))
+    this._updateIds(ids => ids.includes(id) ? ids : ids.concat([id]))
+  }
+
+  removeItem (id) {
+    this._storage.removeItem(id)
+    this._updateIds(ids => ids.filter(e => e !== id))
+  }
+
+  get length () {
+    return this._storage.length
+  }
+
+  key (index) {
+    return this._storage.key(index)
+  }
+
+  _updateIds (update) {
+    const params = parse(this._storage.getItem(passphraseItem))
+    const ids = update(params.keys)
+    if (ids !== params.keys)
+      this._storage.setItem(passphraseItem, JSON.stringify(Object.assign(params, { keys: ids })))
+  }
+}
+
+// Returns the storage of the keystore without the encryption
+const storageOf = (keystore) => {
+  const storage = keystore._storage
+  if (!storage || typeof storage.getItem !== 'function')
+    throw new Error(`The keystore can't be encrypted with a passphrase`)
+
+  const raw = storage instanceof PassphraseStorage ? storage._storage : storage
+  finishLock(raw)
+  return raw
+}
+
+// Returns the derived key of the passphrase, or null if the storage is not encrypted
+const openKey = (storage, passphrase) => {
+  const params = parse(storage.getItem(passphraseItem))
+  if (!params)
+    return null
+
+  const key = encryption.keyFromPassphrase(passphrase, Buffer.from(params.salt, 'hex'), params.iterations)
+  try {
+    if (encryption.decryptWithKey(key, params.check) !== checkValue)
+      throw new Error(`Invalid check value`)
+  } catch (e) {
+    throw new Error(`Couldn't unlock the keystore, the passphrase is wrong`)
+  }
+
+  return key
+}
+
+// Returns the ids of the keys of the keystore. The keys of a keystore that is
+// not encrypted yet are the items in the format of orbit-db-keystore.
+const keyIds = (storage) => {
+  const params = parse(storage.getItem(passphraseItem))
+  if (params)
+    return params.keys
+
+  const ids = []
+  for (let i = 0; i < storage.length; i ++) {
+    const id = storage.key(i)
+    if (isKey(parse(storage.getItem(id))))
+      ids.push(id)
+  }
+  return ids
+}
+
+// Returns the keys of the keystore by their id, in the format of orbit-db-keystore
+const readKeys = (storage, ids) => {
+  return ids
+    .filter(id => storage.getItem(id) !== null)
+    .reduce((res, id) => Object.assign(res, { [id]: storage.getItem(id) }), {})
+}
+
+// Saves the keys encrypted with a new passphrase and then the salt of the
+// passphrase, if the keystore was closed in between they're saved when it's opened
+const finishLock = (storage) => {
+  const pending = parse(storage.getItem(pendingItem))
+  if (!pending)
+    return
+
+  Object.keys(pending.keys).forEach(id => storage.setItem(id, pending.keys[id]))
+  storage.setItem(passphraseItem, JSON.stringify(pending.passphrase))
+  storage.removeItem(pendingItem)
+}
+
+/*
+  Encrypts the keys with a new passphrase, returns the storage of the encrypted keys.
+
+  The keys and the salt of the passphrase are saved in one item first, so
+  that the keystore can't be left with keys encrypted with one passphrase
+  and the salt of another.
+*/
+const lock = (storage, passphrase, keys) => {
+  const salt = crypto.randomBytes(16)
+  const key = encryption.keyFromPassphrase(passphrase, salt, iterations)
+
+  const encrypted = Object.keys(keys).reduce((res, id) => {
+    return Object.assign(res, { [id]: JSON.stringify(encryption.encryptWithKey(key, keys[id])) })
+  }, {})
+
+  storage.setItem(pendingItem, JSON.stringify({
+    passphrase: {
+      salt: salt.toString('hex'),
+      iterations: iterations,
+      check: encryption.encryptWithKey(key, checkValue),
+      keys: Object.keys(keys),
+    },
+    keys: encrypted,
+  }))
+  finishLock(storage)
+
+  return new PassphraseStorage(storage, key)
+}
+
+const validatePassphrase = (passphrase) => {
+  if (!passphrase || typeof passphrase !== 'string')
+    throw new Error(`Passphrase must be a string`)
+}
+
+// Returns true if the keys of the keystore are encrypted and it hasn't been unlocked
+const isLocked = (keystore) => {
+  const storage = keystore._storage
+  return storage !== undefined
+    && storage !== null
+    && typeof storage.getItem === 'function'
+    && !(storage instanceof PassphraseStorage)
+    && (storage.getItem(passphraseItem) !== null || storage.getItem(pendingItem) !== null)
+}
+
+/*
+  Unlocks the keystore with the passphrase, so that the keys are decrypted
+  when they're read and encrypted when they're saved. The keys of a keystore
+  that is not encrypted yet are encrypted with the passphrase.
+*/
+const unlockKeystore = (keystore, passphrase) => {
+  validatePassphrase(passphrase)
+  const storage = storageOf(keystore)
+  const key = openKey(storage, passphrase)
+
+  keystore._storage = key
+    ? new PassphraseStorage(storage, key)
+    : lock(storage, passphrase, readKeys(storage, keyIds(storage)))
+
+  return keystore
+}
+
+// Encrypts the keys of the keystore with a new passphrase
+const changePassphrase = (keystore, passphrase, newPassphrase) => {
+  validatePassphrase(newPassphrase)
+  const storage = storageOf(keystore)
+
+  let current = storage
+  if (storage.getItem(passphraseItem) !== null) {
+    validatePassphrase(passphrase)
+    current = new PassphraseStorage(storage, openKey(storage, passphrase))
+  }
+
+  keystore._storage = lock(storage, newPassphrase, readKeys(current, keyIds(storage)))
+  return keystore
+}
+
+module.exports = {
+  unlockKeystore: unlockKeystore,
+  changePassphrase: changePassphrase,
+  isLocked: isLocked,
+}
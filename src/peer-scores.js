@@ -0,0 +1,81 @@
+'use strict'
+
+const defaultOptions = {
+  maxMessages: 100, // number of messages a peer can send in an interval
+  interval: 1000, // length of the interval in milliseconds
+  minScore: -20, // messages from peers with a lower score are ignored
+  maxScore: 20,
+}
+
+// Score changes for the messages from a peer
+const Score = {
+  VALID: 1,
+  RATE_LIMITED: -1,
+  UNAUTHORIZED: -2,
+  INVALID: -5,
+}
+
+/*
+  Keeps the score of each peer we replicate with and limits the
+  number of messages they can send. Every valid head a peer sends
+  raises its score and every rejected head lowers it, so peers that
+  keep sending invalid or unauthorized heads end up being ignored.
+*/
+class PeerScores {
+  constructor (options = {}) {
+    this.options = Object.assign({}, defaultOptions, options)
+    this._peers = {}
+  }
+
+  score (peer) {
+    return this._peer(peer).score
+  }
+
+  isIgnored (peer) {
+    return this.score(peer) < this.options.minScore
+  }
+
+  // Counts a message from the peer. Returns the reason why
+  // the message should be ignored, or null if it can be processed.
+  allow (peer) {
+    if (this.isIgnored(peer))
+      return `Peer '${peer}' is ignored because of its low score ${this.score(peer)}`
+
+    const state = this._peer(peer)
+    const now = Date.now()
+
+    if (now - state.intervalStart >= this.options.interval) {
+      state.intervalStart = now
+      state.messages = 0
+    }
+
+    state.messages ++
+
+    if (state.messages > this.options.maxMessages) {
+      this.update(peer, Score.RATE_LIMITED)
+      return `Peer '${peer}' sent more than ${this.options.maxMessages} messages in ${this.options.interval}ms`
+    }
+
+    return null
+  }
+
+  update (peer, change) {
+    const state = this._peer(peer)
+    state.score = Math.min(this.options.maxScore, state.score + change)
+  }
+
+  reset (peer) {
+    delete this._peers[peer]
+  }
+
+  _peer (peer) {
+    if (!this._peers[peer])
+      this._peers[peer] = { score: 0, messages: 0, intervalStart: 0 }
+
+    return this._peers[peer]
+  }
+}
+
+PeerScores.Score = Score
+
+module.exports = PeerScores
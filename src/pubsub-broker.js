@@ -0,0 +1,108 @@
+'use strict'
+
+const Pubsub = require('orbit-db-pubsub')
+
+const Logger = require('logplease')
+const logger = Logger.create("orbit-db")
+
+/*
+  Broker that uses IPFS pubsub through orbit-db-pubsub, used by default.
+
+  A broker connects the peers of a database, each database being a topic.
+  Brokers are classes given in the 'broker' option of OrbitDB, constructed
+  with (ipfs, id, options) where options are the 'brokerOptions' of OrbitDB,
+  and implement:
+
+    subscribe(topic, onMessage, onPeerJoined, onPeerLeft)
+      Joins the topic. onMessage(topic, message, peer) is called for the
+      messages of the other peers, where peer is the id of the peer the broker
+      received the message from, not the id the message claims to be from.
+      onPeerJoined(topic, peer) and onPeerLeft(topic, peer) are called when a
+      peer joins or leaves the topic. Subscribing to a topic we're already
+      subscribed to does nothing.
+    unsubscribe(topic)
+      Leaves the topic.
+    publish(topic, message)
+      Sends the message, a JSON object, to every peer of the topic.
+    sendTo(topic, peer, message)
+      Sends the message to one peer of the topic.
+    peers(topic)
+      Returns the ids of the peers currently in the topic.
+    disconnect()
+      Leaves all topics.
+*/
+// orbit-db-pubsub that also gives the id of the peer who sent the message to the callback
+class SenderPubsub extends Pubsub {
+  _handleMessage (message) {
+    // Don't process our own messages
+    if (message.from === this._id)
+      return
+
+    let content, subscription, topicId
+    try {
+      topicId = message.topicIDs[0]
+      content = JSON.parse(message.data)
+      subscription = this._subscriptions[topicId]
+    } catch (e) {
+      logger.error(`Couldn't parse pubsub message:`, e)
+    }
+
+    if (subscription && subscription.onMessage && content)
+      subscription.onMessage(topicId, content, message.from)
+  }
+}
+
+class PubsubBroker {
+  constructor (ipfs, id) {
+    this._pubsub = new SenderPubsub(ipfs, id)
+    this._rooms = new WeakSet() // rooms we listen to for the peers leaving
+  }
+
+  subscribe (topic, onMessage, onPeerJoined, onPeerLeft) {
+    const onNewPeer = (topic, peer, room) => {
+      if (onPeerLeft && !this._rooms.has(room)) {
+        this._rooms.add(room)
+        room.on('peer left', (peer) => {
+          // Ignore the rooms we've left
+          if (this._room(topic) === room)
+            onPeerLeft(topic, peer)
+        })
+      }
+
+      if (onPeerJoined)
+        onPeerJoined(topic, peer)
+    }
+
+    this._pubsub.subscribe(topic, onMessage, onNewPeer)
+  }
+
+  unsubscribe (topic) {
+    this._pubsub.unsubscribe(topic)
+  }
+
+  publish (topic, message) {
+    this._pubsub.publish(topic, message)
+  }
+
+  sendTo (topic, peer, message) {
+    const room = this._room(topic)
+    if (room)
+      room.sendTo(peer, JSON.stringify(message))
+  }
+
+  peers (topic) {
+    const room = this._room(topic)
+    return room ? room.getPeers() : []
+  }
+
+  disconnect () {
+    this._pubsub.disconnect()
+  }
+
+  _room (topic) {
+    const subscription = this._pubsub._subscriptions[topic]
+    return subscription ? subscription.room : null
+  }
+}
+
+module.exports = PubsubBroker
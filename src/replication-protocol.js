@@ -0,0 +1,106 @@
+'use strict'
+
+const crypto = require('crypto')
+
+/*
+  Messages exchanged between peers to replicate a database:
+
+  {
+    protocol: 'orbitdb-replication',
+    version: 1, // version of the protocol the message was written in
+    type: 'heads', // type of the message, see MessageType
+    from: 'Qm...', // id of the sender
+    key: '04...', // OrbitDB public key of the sender, optional
+    payload: {}, // content of the message, depends on the type
+  }
+
+  The 'version' message keeps the same format in every version of the
+  protocol, so peers can always tell each other which versions they support.
+*/
+
+const protocol = 'orbitdb-replication'
+
+// The latest version of the protocol, used when sending messages
+const version = 1
+
+// Versions we can read and write, version 0 is the array of heads sent by
+// peers before the protocol was versioned. Only the heads can be sent in
+// version 0, the peers that send it are replied to with the array of heads.
+const supportedVersions = [0, 1]
+
+const MessageType = {
+  HEADS: 'heads', // payload: { heads: [], ack: false }, ack is true if the sender wants an ack back
+  HEADS_REQUEST: 'heads.request', // payload: { heads: [] }, the receiver replies with the requested heads, or all of its heads if not given
+  HEADS_DIGEST: 'heads.digest', // payload: { digest: '', heads: [] }, digest of the sender's heads and optionally their hashes
+  ACK: 'ack', // payload: { heads: [] }, hashes of the heads that were received
+  VERSION: 'version', // payload: { versions: [] }, versions the sender supports
+}
+
+// Returns the message in the given version, or null if the message
+// can't be written in the version, ie. the other than heads in version 0
+const createMessage = (type, from, payload = {}, messageVersion = version, key = null) => {
+  if (messageVersion === 0)
+    return type === MessageType.HEADS ? payload.heads : null
+
+  const message = {
+    protocol: protocol,
+    version: messageVersion,
+    type: type,
+    from: from,
+    payload: payload,
+  }
+
+  if (key)
+    message.key = key
+
+  return message
+}
+
+// Returns the received message, or throws an error if it's not a replication message
+const parseMessage = (content) => {
+  if (Array.isArray(content))
+    return { protocol: protocol, version: 0, type: MessageType.HEADS, from: null, payload: { heads: content } }
+
+  if (!content || typeof content !== 'object' || content.protocol !== protocol)
+    throw new Error(`Not a replication message`)
+
+  if (!Number.isInteger(content.version))
+    throw new Error(`Invalid protocol version '${content.version}'`)
+
+  if (typeof content.type !== 'string')
+    throw new Error(`Invalid message type '${content.type}'`)
+
+  if (!content.payload || typeof content.payload !== 'object')
+    throw new Error(`Invalid payload in a '${content.type}' message`)
+
+  return content
+}
+
+const isSupported = (messageVersion) => supportedVersions.includes(messageVersion)
+
+// Returns the highest version both we and the peer support, or null if there's none
+const negotiate = (versions) => {
+  const common = (Array.isArray(versions) ? versions : [])
+    .filter(e => e > 0 && isSupported(e))
+  return common.length > 0 ? Math.max.apply(null, common) : null
+}
+
+// Returns a digest of the heads, peers with the same heads have the same digest
+const digest = (heads) => {
+  const hashes = heads.map(e => e.hash || e).sort()
+  return crypto.createHash('sha256')
+    .update(hashes.join(','))
+    .digest('hex')
+}
+
+module.exports = {
+  protocol: protocol,
+  version: version,
+  supportedVersions: supportedVersions,
+  MessageType: MessageType,
+  createMessage: createMessage,
+  parseMessage: parseMessage,
+  isSupported: isSupported,
+  negotiate: negotiate,
+  digest: digest,
+}
@@ -0,0 +1,310 @@
+'use strict'
+
+/*
+  Replication modes:
+    both - send our heads to peers and sync the heads peers send
+    pull - only sync the heads peers send, eg. a read-only mirror
+    push - only send our heads to peers, eg. a writer that doesn't need the other writes
+*/
+const modes = ['both', 'pull', 'push']
+
+// Cache key of the entries that haven't been announced to any peer
+const outboxKey = '_outbox'
+
+// Returns the largest clock time of the given heads
+const maxClock = (heads) => heads.reduce((res, e) => Math.max(res, e.clock.time), 0)
+
+/*
+  Replication state of a database, kept by OrbitDB for each open database.
+
+  Tracks the heads received from each peer and how far the
+  database is from having the entries of the peers, and lets
+  the replication be paused or limited to one direction.
+
+  The entries written locally are kept in an outbox, which is saved
+  in the cache, until a peer acknowledges that it received them.
+
+  options = {
+    mode: 'both', // replication mode, 'both', 'pull' or 'push'
+    paused: false, // whether the replication is paused
+    onChange: null, // called with the store when the replication was paused, resumed or the mode changed
+  }
+*/
+class Replication {
+  constructor (store, options = {}) {
+    Replication.validateMode(options.mode || 'both')
+
+    this._store = store
+    this._mode = options.mode || 'both'
+    this._paused = options.paused === true
+    this._onChange = options.onChange || (() => {})
+    this._peers = {}
+    this._length = store._oplog.length
+    this._outbox = []
+    this._saving = Promise.resolve()
+    this._syncing = Promise.resolve()
+    this._closing = false
+
+    this._onReplicated = this._onReplicated.bind(this)
+    this._store.events.on('replicated', this._onReplicated)
+  }
+
+  get mode () {
+    return this._mode
+  }
+
+  get paused () {
+    return this._paused
+  }
+
+  // Whether our heads should be sent to peers
+  get canSend () {
+    return !this._paused && this._mode !== 'pull'
+  }
+
+  // Whether the heads from peers should be synced
+  get canReceive () {
+    return !this._paused && this._mode !== 'push'
+  }
+
+  setMode (mode) {
+    Replication.validateMode(mode)
+
+    if (mode !== this._mode) {
+      this._mode = mode
+      this._onChange(this._store)
+    }
+  }
+
+  pause () {
+    if (!this._paused) {
+      this._paused = true
+      this._onChange(this._store)
+    }
+  }
+
+  resume () {
+    if (this._paused) {
+      this._paused = false
+      this._onChange(this._store)
+    }
+  }
+
+  /*
+    Calls onRound with the store periodically while the replication is not paused
+
+    options = {
+      interval: 30000, // time between the rounds in milliseconds
+      jitter: 5000, // up to this many milliseconds are added to the interval, so that the peers don't send at the same time
+    }
+  */
+  startAntiEntropy (options, onRound) {
+    this.stopAntiEntropy()
+
+    const schedule = () => {
+      const delay = options.interval + Math.round(Math.random() * options.jitter)
+      this._antiEntropyTimer = setTimeout(() => {
+        if (!this._paused)
+          onRound(this._store)
+        schedule()
+      }, delay)
+    }
+
+    schedule()
+  }
+
+  stopAntiEntropy () {
+    clearTimeout(this._antiEntropyTimer)
+    this._antiEntropyTimer = null
+  }
+
+  close () {
+    this.stopAntiEntropy()
+    this._store.events.removeListener('replicated', this._onReplicated)
+  }
+
+  // Entries written locally that no peer has acknowledged yet
+  get outbox () {
+    return this._outbox.slice()
+  }
+
+  // Returns the latest entries of the outbox that are not in the log, eg. when
+  // the database wasn't loaded, at most limit of them. The entries they point
+  // to are left out, the peers fetch them when syncing the latest ones.
+  unannounced (limit) {
+    const pending = this._outbox.filter(e => !this._has(e.hash))
+    const pointed = new Set(pending.reduce((res, e) => res.concat(e.next || []), []))
+    return pending
+      .filter(e => !pointed.has(e.hash))
+      .sort((a, b) => b.clock.time - a.clock.time)
+      .slice(0, limit)
+  }
+
+  // Whether the database is being closed, the heads received after that are not synced
+  get closing () {
+    return this._closing
+  }
+
+  // Called when the database is being closed, resolves when the changes of the
+  // outbox have been saved to the cache and the heads received have been synced
+  settle () {
+    this._closing = true
+    return Promise.all([this._saving, this._syncing])
+  }
+
+  // Called with the sync of the heads received from a peer, see settle()
+  syncing (promise) {
+    this._syncing = Promise.all([this._syncing, promise.catch(() => {})])
+    return promise
+  }
+
+  // Loads the outbox from the cache
+  async load () {
+    this._outbox = await this._store._cache.get(outboxKey) || []
+  }
+
+  // Called when an entry was written locally
+  written (entry) {
+    this._outbox.push(entry)
+    return this._saveOutbox()
+  }
+
+  // Called when a peer acknowledged that it received the heads. The entries
+  // written before an acknowledged entry can be reached from it, so they're
+  // removed from the outbox too.
+  acknowledged (hashes) {
+    const acknowledged = this._outbox.filter(e => hashes.includes(e.hash))
+    if (acknowledged.length === 0)
+      return Promise.resolve()
+
+    const time = maxClock(acknowledged)
+    this._outbox = this._outbox.filter(e => e.clock.time > time)
+    return this._saveOutbox()
+  }
+
+  // Called when a peer joined the database
+  peerJoined (peer) {
+    this._peer(peer).joined = Date.now()
+  }
+
+  // Called when a peer left the database
+  peerLeft (peer) {
+    if (this._peers[peer])
+      this._peers[peer].joined = null
+  }
+
+  // Peers currently in the database and the time they joined
+  get peers () {
+    return Object.keys(this._peers)
+      .filter(e => this._peers[e].joined !== null)
+      .map(e => ({ id: e, joined: this._peers[e].joined }))
+  }
+
+  isPresent (peer) {
+    return !!this._peers[peer] && this._peers[peer].joined !== null
+  }
+
+  // Called when heads were received from a peer
+  headsReceived (peer, heads) {
+    const state = this._peer(peer)
+    state.heads = heads.map(e => e.hash)
+    state.clock = maxClock(heads)
+    state.received = Date.now()
+    heads.filter(e => !this._has(e.hash))
+      .forEach(e => state.queued[e.hash] = true)
+    this._update(0)
+  }
+
+  /*
+    Returns the replication status for each peer:
+    {
+      'QmPeer...': {
+        heads: [], // hashes of the last heads received from the peer
+        queued: 0, // number of the heads from the peer that are still being fetched
+        fetched: 0, // number of entries fetched while syncing the heads from the peer
+        lastHeads: 1514761200000, // time when the peer last sent its heads, null if never
+        lastSync: 1514761200000, // time when the heads of the peer were last synced, null if never
+        lag: 0, // estimated number of entries we're behind the peer
+      }
+    }
+  */
+  status () {
+    const clock = maxClock(this._store._oplog.heads)
+    return Object.keys(this._peers).reduce((res, peer) => {
+      const state = this._peers[peer]
+      res[peer] = {
+        heads: state.heads.slice(),
+        queued: Object.keys(state.queued).length,
+        fetched: state.fetched,
+        lastHeads: state.received,
+        lastSync: state.synced,
+        lag: Math.max(0, state.clock - clock),
+      }
+      return res
+    }, {})
+  }
+
+  _onReplicated () {
+    const length = this._store._oplog.length
+    this._update(length - this._length)
+  }
+
+  // Marks the queued heads that are now in the log as synced
+  _update (fetched) {
+    this._length = this._store._oplog.length
+
+    Object.keys(this._peers).forEach(peer => {
+      const state = this._peers[peer]
+      const synced = Object.keys(state.queued).filter(e => this._has(e))
+
+      if (synced.length > 0)
+        state.fetched += fetched
+
+      synced.forEach(e => delete state.queued[e])
+
+      const wasSynced = state.synced !== null && state.synced >= state.received
+      if (state.received && Object.keys(state.queued).length === 0 && !wasSynced)
+        state.synced = Date.now()
+    })
+  }
+
+  _saveOutbox () {
+    // The entries acknowledged while closing are announced again when the database is opened
+    if (this._closing)
+      return this._saving
+
+    const outbox = this._outbox.slice()
+    const result = this._saving
+      .then(() => this._store._cache.set(outboxKey, outbox))
+    // Keep saving the next changes even if saving fails
+    this._saving = result.catch(() => {})
+    return result
+  }
+
+  _has (hash) {
+    return this._store._oplog.has(hash)
+  }
+
+  _peer (peer) {
+    if (!this._peers[peer]) {
+      this._peers[peer] = {
+        heads: [],
+        queued: {},
+        fetched: 0,
+        clock: 0,
+        joined: null,
+        received: null,
+        synced: null,
+      }
+    }
+
+    return this._peers[peer]
+  }
+
+  static validateMode (mode) {
+    if (!modes.includes(mode))
+      throw new Error(`Invalid replication mode '${mode}', use one of ${modes.join(', ')}`)
+  }
+}
+
+module.exports = Replication
@@ -0,0 +1,76 @@
+'use strict'
+
+const path = require('path')
+
+// Caches of each storage by their path, so that the same cache is used for a database
+const caches = new WeakMap()
+
+/*
+  Cache of a database in a storage, used instead of orbit-db-cache
+  when a storage is given. Has the same interface as orbit-db-cache,
+  the values are saved as JSON.
+*/
+class StorageCache {
+  constructor (storage, directory) {
+    this._storage = storage
+    this.path = directory
+    this._store = null // promise of the opened store
+  }
+
+  async get (key) {
+    const store = await this._open()
+    const value = await store.get(key)
+    return value !== null && value !== undefined ? JSON.parse(value) : null
+  }
+
+  async set (key, value) {
+    const store = await this._open()
+    return store.put(key, JSON.stringify(value))
+  }
+
+  async del (key) {
+    const store = await this._open()
+    return store.del(key)
+  }
+
+  async load () {
+    await this._open()
+  }
+
+  // The store is opened again when the cache is used after closing
+  async close () {
+    if (!this._store)
+      return
+
+    const store = await this._store
+    this._store = null
+    await store.close()
+  }
+
+  _open () {
+    if (!this._store) {
+      this._store = this._storage.open(this.path)
+      // Try again next time if the store couldn't be opened
+      this._store.catch(() => this._store = null)
+    }
+
+    return this._store
+  }
+
+  static async load (storage, directory, dbAddress) {
+    const dataPath = path.join(directory, dbAddress.root, dbAddress.path)
+
+    if (!caches.has(storage))
+      caches.set(storage, {})
+
+    const storageCaches = caches.get(storage)
+    if (!storageCaches[dataPath]) {
+      storageCaches[dataPath] = new StorageCache(storage, dataPath)
+      await storageCaches[dataPath].load()
+    }
+
+    return storageCaches[dataPath]
+  }
+}
+
+module.exports = StorageCache
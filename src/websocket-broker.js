@@ -0,0 +1,162 @@
+'use strict'
+
+const WebSocket = require('ws')
+
+const Logger = require('logplease')
+const logger = Logger.create("orbit-db")
+
+/*
+  Broker that connects the peers through a WebSocket relay, see
+  websocket-relay.js, eg. for browsers that can't use IPFS pubsub.
+  See pubsub-broker.js for the broker interface.
+
+  options = {
+    url: 'ws://localhost:4003', // address of the relay
+    reconnectInterval: 1000, // time to wait before reconnecting to the relay in milliseconds
+  }
+
+  Messages sent to the relay, as JSON:
+    { type: 'hello', id: 'QmPeer...' } // sent first, id of the peer
+    { type: 'subscribe', topic: '/orbitdb/...' }
+    { type: 'unsubscribe', topic: '/orbitdb/...' }
+    { type: 'publish', topic: '/orbitdb/...', message: {} }
+    { type: 'send', topic: '/orbitdb/...', to: 'QmPeer...', message: {} }
+
+  Messages received from the relay:
+    { type: 'message', topic: '/orbitdb/...', from: 'QmPeer...', message: {} }
+    { type: 'join', topic: '/orbitdb/...', peer: 'QmPeer...' }
+    { type: 'leave', topic: '/orbitdb/...', peer: 'QmPeer...' }
+*/
+class WebSocketBroker {
+  constructor (ipfs, id, options = {}) {
+    if (!options.url)
+      throw new Error(`WebSocket broker needs the 'url' of the relay`)
+
+    this._id = id
+    this._url = options.url
+    this._reconnectInterval = options.reconnectInterval !== undefined ? options.reconnectInterval : 1000
+    this._topics = {}
+    this._pending = [] // messages sent before the connection was open
+    this._connect()
+  }
+
+  subscribe (topic, onMessage, onPeerJoined, onPeerLeft) {
+    if (this._topics[topic])
+      return
+
+    this._topics[topic] = {
+      onMessage: onMessage || (() => {}),
+      onPeerJoined: onPeerJoined || (() => {}),
+      onPeerLeft: onPeerLeft || (() => {}),
+      peers: [],
+    }
+
+    this._write({ type: 'subscribe', topic: topic })
+  }
+
+  unsubscribe (topic) {
+    if (!this._topics[topic])
+      return
+
+    delete this._topics[topic]
+    this._write({ type: 'unsubscribe', topic: topic })
+  }
+
+  publish (topic, message) {
+    if (this._topics[topic])
+      this._write({ type: 'publish', topic: topic, message: message })
+  }
+
+  sendTo (topic, peer, message) {
+    if (this._topics[topic])
+      this._write({ type: 'send', topic: topic, to: peer, message: message })
+  }
+
+  peers (topic) {
+    return this._topics[topic] ? this._topics[topic].peers.slice() : []
+  }
+
+  disconnect () {
+    Object.keys(this._topics).forEach(e => this.unsubscribe(e))
+    this._closed = true
+    clearTimeout(this._reconnectTimer)
+    if (this._socket)
+      this._socket.close()
+  }
+
+  _connect () {
+    const socket = this._socket = new WebSocket(this._url)
+
+    socket.onopen = () => {
+      const pending = this._pending
+      this._pending = []
+
+      socket.send(JSON.stringify({ type: 'hello', id: this._id }))
+
+      // Join the topics again after a reconnect
+      Object.keys(this._topics)
+        .forEach(e => socket.send(JSON.stringify({ type: 'subscribe', topic: e })))
+
+      pending.filter(e => e.type !== 'subscribe')
+        .forEach(e => socket.send(JSON.stringify(e)))
+    }
+
+    socket.onmessage = (event) => {
+      try {
+        this._onData(JSON.parse(event.data))
+      } catch (e) {
+        logger.error(`Couldn't handle a message from the relay '${this._url}':`, e)
+      }
+    }
+
+    socket.onerror = (e) => {
+      logger.warn(`WebSocket relay '${this._url}' error: ${e.message || e}`)
+    }
+
+    socket.onclose = () => {
+      // The peers of the relay are gone until we reconnect
+      Object.keys(this._topics).forEach(topic => {
+        const subscription = this._topics[topic]
+        const peers = subscription.peers
+        subscription.peers = []
+        peers.forEach(e => subscription.onPeerLeft(topic, e))
+      })
+
+      if (!this._closed)
+        this._reconnectTimer = setTimeout(() => this._connect(), this._reconnectInterval)
+    }
+  }
+
+  _onData (data) {
+    const subscription = this._topics[data.topic]
+    if (!subscription)
+      return
+
+    switch (data.type) {
+      case 'message':
+        subscription.onMessage(data.topic, data.message, data.from)
+        break
+      case 'join':
+        if (!subscription.peers.includes(data.peer)) {
+          subscription.peers.push(data.peer)
+          subscription.onPeerJoined(data.topic, data.peer)
+        }
+        break
+      case 'leave':
+        if (subscription.peers.includes(data.peer)) {
+          subscription.peers = subscription.peers.filter(e => e !== data.peer)
+          subscription.onPeerLeft(data.topic, data.peer)
+        }
+        break
+    }
+  }
+
+  _write (data) {
+    if (this._socket.readyState === WebSocket.OPEN)
+      this._socket.send(JSON.stringify(data))
+    else
+      this._pending.push(data)
+  }
+}
+
+module.exports = WebSocketBroker
@@ -0,0 +1,149 @@
+'use strict'
+
+const WebSocket = require('ws')
+
+const Logger = require('logplease')
+const logger = Logger.create("orbit-db")
+
+/*
+  Relay for the WebSocket broker, see websocket-broker.js for the messages.
+
+  The relay forwards the messages of each topic to the peers subscribed
+  to it and tells the peers when others join or leave. It doesn't look at
+  the content of the messages.
+
+  const relay = await WebSocketRelay.start({ port: 4003 })
+  ...
+  await relay.stop()
+
+  Or from the command line: node src/websocket-relay.js [port]
+*/
+class WebSocketRelay {
+  constructor (options = {}) {
+    this._server = new WebSocket.Server(options)
+    this._topics = {} // topic -> peer id -> socket
+    this._peers = {} // peer id -> socket of the connection that claimed it
+    this._server.on('connection', this._onConnection.bind(this))
+  }
+
+  // Returns the ids of the peers subscribed to the topic
+  peers (topic) {
+    return Object.keys(this._topics[topic] || {})
+  }
+
+  stop () {
+    return new Promise((resolve, reject) => {
+      this._server.clients.forEach(e => e.terminate())
+      this._server.close((err) => err ? reject(err) : resolve())
+    })
+  }
+
+  _onConnection (socket) {
+    let id = null
+    const topics = []
+
+    const leave = (topic) => {
+      const peers = this._topics[topic]
+      if (!peers || peers[id] !== socket)
+        return
+
+      delete peers[id]
+      topics.splice(topics.indexOf(topic), 1)
+      Object.keys(peers).forEach(e => send(peers[e], { type: 'leave', topic: topic, peer: id }))
+
+      if (Object.keys(peers).length === 0)
+        delete this._topics[topic]
+    }
+
+    socket.on('message', (data) => {
+      let message
+      try {
+        message = JSON.parse(data)
+      } catch (e) {
+        logger.warn(`Relay received an invalid message: ${e.message}`)
+        return
+      }
+
+      // The id is bound to the first connection that claims it, so that
+      // others can't take over the topics and messages of the peer
+      if (message.type === 'hello') {
+        if (id || typeof message.id !== 'string' || !message.id)
+          return
+
+        if (this._peers[message.id]) {
+          logger.warn(`Relay rejected a connection, peer id '${message.id}' is already connected`)
+          socket.close()
+          return
+        }
+
+        id = message.id
+        this._peers[id] = socket
+        return
+      }
+
+      const topic = message.topic
+      const peers = this._topics[topic]
+
+      // Peers need to say who they are before using the topics
+      if (!id || typeof topic !== 'string')
+        return
+
+      switch (message.type) {
+        case 'subscribe':
+          this._topics[topic] = this._topics[topic] || {}
+          Object.keys(this._topics[topic]).filter(e => e !== id).forEach(e => {
+            send(this._topics[topic][e], { type: 'join', topic: topic, peer: id })
+            send(socket, { type: 'join', topic: topic, peer: e })
+          })
+          this._topics[topic][id] = socket
+          if (!topics.includes(topic))
+            topics.push(topic)
+          break
+        case 'unsubscribe':
+          leave(topic)
+          break
+        case 'publish':
+          if (peers && peers[id] === socket)
+            Object.keys(peers).filter(e => e !== id)
+              .forEach(e => send(peers[e], { type: 'message', topic: topic, from: id, message: message.message }))
+          break
+        case 'send':
+          if (peers && peers[id] === socket && peers[message.to])
+            send(peers[message.to], { type: 'message', topic: topic, from: id, message: message.message })
+          break
+      }
+    })
+
+    socket.on('close', () => {
+      topics.slice().forEach(leave)
+      if (id && this._peers[id] === socket)
+        delete this._peers[id]
+    })
+    socket.on('error', (e) => logger.warn(`Relay connection error: ${e.message}`))
+  }
+
+  static start (options = {}) {
+    return new Promise((resolve, reject) => {
+      const relay = new WebSocketRelay(options)
+      relay._server.once('listening', () => resolve(relay))
+      relay._server.once('error', reject)
+    })
+  }
+}
+
+const send = (socket, data) => {
+  if (socket.readyState === WebSocket.OPEN)
+    socket.send(JSON.stringify(data))
+}
+
+module.exports = WebSocketRelay
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || 4003)
+  WebSocketRelay.start({ port: port })
+    .then(() => console.log(`OrbitDB WebSocket relay listening on port ${port}`))
+    .catch((e) => {
+      console.error(e)
+      process.exit(1)
+    })
+}
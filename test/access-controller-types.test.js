@@ -0,0 +1,202 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const AccessController = require('../src/access-controller')
+const IPFSAccessController = require('../src/ipfs-access-controller')
+const OrbitDBAccessController = require('../src/orbitdb-access-controller')
+const CustomAccessController = require('../src/custom-access-controller')
+const createDBManifest = require('../src/db-manifest')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/access-controller-types'
+const ipfsPath = './orbitdb/tests/access-controller-types/ipfs'
+
+// Third-party access controller which lets everyone write
+// and keeps nothing in IPFS
+class PublicAccessController extends AccessController {
+  async load (address) {}
+
+  async save () {
+    return 'QmPFtHi3cmfZerxtH9ySLdzpg1yFhocYDZgEZywdUXHxFU'
+  }
+
+  get write () {
+    return ['*']
+  }
+}
+
+const getManifest = async (ipfs, address) => {
+  const dag = await ipfs.object.get(address.root)
+  return JSON.parse(dag.toJSON().data)
+}
+
+describe('orbit-db - Access Controller Types', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, orbitdb, db
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    ipfs = await startIpfs(config.daemon1)
+    orbitdb = new OrbitDB(ipfs, dbPath)
+  })
+
+  after(async () => {
+    if (orbitdb)
+      await orbitdb.stop()
+
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  afterEach(async () => {
+    if (db)
+      await db.close()
+
+    db = null
+  })
+
+  describe('addAccessControllerType', function() {
+    it('has the default types', async () => {
+      const types = OrbitDB.getAccessControllerTypes()
+      assert.equal(types.ipfs, IPFSAccessController)
+      assert.equal(types.orbitdb, OrbitDBAccessController)
+      assert.equal(types.custom, CustomAccessController)
+    })
+
+    it('throws an error if the type already exists', async () => {
+      let err
+      try {
+        OrbitDB.addAccessControllerType('ipfs', PublicAccessController)
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Access controller type \'ipfs\' already exists')
+    })
+
+    it('adds a new access controller type', async () => {
+      OrbitDB.addAccessControllerType('public', PublicAccessController)
+      assert.equal(OrbitDB.isValidAccessControllerType('public'), true)
+      assert.equal(OrbitDB.getAccessControllerTypes().public, PublicAccessController)
+    })
+  })
+
+  describe('Create & Open', function() {
+    it('saves the access controller type in the manifest', async () => {
+      db = await orbitdb.feed('ipfs-type')
+      const manifest = await getManifest(ipfs, db.address)
+      assert.equal(manifest.accessControllerType, 'ipfs')
+      assert.equal(db.access instanceof IPFSAccessController, true)
+    })
+
+    it('uses the orbitdb type for databases with admins', async () => {
+      db = await orbitdb.feed('orbitdb-type', { admin: [orbitdb.key.getPublic('hex')] })
+      const manifest = await getManifest(ipfs, db.address)
+      assert.equal(manifest.accessControllerType, 'orbitdb')
+      assert.equal(db.access instanceof OrbitDBAccessController, true)
+    })
+
+    it('throws an error if given an invalid access controller type', async () => {
+      let err
+      try {
+        db = await orbitdb.feed('invalid-type', { accessController: { type: 'invalid' } })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Invalid access controller type \'invalid\'')
+    })
+
+    it('creates and opens a database with a third-party access controller', async () => {
+      db = await orbitdb.feed('public-type', { accessController: { type: 'public' } })
+      const address = db.address.toString()
+      const manifest = await getManifest(ipfs, db.address)
+      assert.equal(manifest.accessControllerType, 'public')
+      await db.close()
+
+      db = await orbitdb.feed(address)
+      assert.equal(db.access instanceof PublicAccessController, true)
+      assert.equal(db.access.canAppend({ key: 'anyone' }), true)
+    })
+
+    it('throws an error when opening an address with an unknown access controller type', async () => {
+      const manifestHash = await createDBManifest(ipfs, 'unknown-ac', 'feed', 'QmPFtHi3cmfZerxtH9ySLdzpg1yFhocYDZgEZywdUXHxFU', { accessControllerType: 'unknown' })
+      const address = `/orbitdb/${manifestHash}/unknown-ac`
+      let err
+      try {
+        db = await orbitdb.open(address)
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, `Error: Database '${address}' uses an unknown access controller type 'unknown'. Add the type with OrbitDB.addAccessControllerType()`)
+    })
+  })
+
+  describe('Custom', function() {
+    const canAppend = (entry) => entry.payload.value !== 'forbidden'
+
+    it('throws an error if the function is not given', async () => {
+      let err
+      try {
+        db = await orbitdb.feed('custom-no-function', { accessController: { type: 'custom' } })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Custom access controller needs a \'canAppend\' function')
+    })
+
+    it('uses the given function to check the entries', async () => {
+      db = await orbitdb.feed('custom', { accessController: { type: 'custom', canAppend: canAppend } })
+      assert.equal(db.access instanceof CustomAccessController, true)
+      assert.equal(db.access.canAppend({ payload: { value: 'hello' } }), true)
+      assert.equal(db.access.canAppend({ payload: { value: 'forbidden' } }), false)
+    })
+
+    it('needs the function when opened from an address', async () => {
+      db = await orbitdb.feed('custom-reopen', { accessController: { type: 'custom', canAppend: canAppend } })
+      const address = db.address.toString()
+      await db.close()
+
+      let err
+      try {
+        db = await orbitdb.feed(address)
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Custom access controller needs a \'canAppend\' function')
+
+      db = await orbitdb.feed(address, { accessController: { canAppend: canAppend } })
+      assert.equal(db.access instanceof CustomAccessController, true)
+    })
+
+    it('checks the history of the heads with the function', async () => {
+      // A writer whose function lets everything in writes an allowed entry on top of a forbidden one
+      const writer = new OrbitDB(ipfs, dbPath + '/writer')
+      const source = await writer.feed('custom-history', { accessController: { type: 'custom', canAppend: () => true } })
+      await source.add('forbidden')
+      await source.add('hello')
+      const heads = source._oplog.heads
+      assert.equal(canAppend(heads[0]), true)
+
+      db = await orbitdb.feed(source.address.toString(), { accessController: { canAppend: canAppend } })
+      // The history is fetched after the heads
+      const replicated = new Promise(resolve => db.events.on('replicated', () => db._loader.tasksRunning === 0 && resolve()))
+      await db.sync(heads)
+      await replicated
+      await new Promise(resolve => setTimeout(resolve, 100))
+      assert.equal(db.iterator({ limit: -1 }).collect().some(e => e.payload.value === 'forbidden'), false)
+
+      // The heads were saved to the cache, loading them checks the history too
+      await db.close()
+      db = await orbitdb.feed(source.address.toString(), { accessController: { canAppend: canAppend } })
+      await db.load()
+      assert.equal(db.iterator({ limit: -1 }).collect().some(e => e.payload.value === 'forbidden'), false)
+
+      await writer.stop()
+    })
+  })
+})
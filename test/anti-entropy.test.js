@@ -0,0 +1,108 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+const waitForPeers = require('./utils/wait-for-peers')
+
+const dbPath1 = './orbitdb/tests/anti-entropy/1'
+const dbPath2 = './orbitdb/tests/anti-entropy/2'
+const ipfsPath1 = './orbitdb/tests/anti-entropy/1/ipfs'
+const ipfsPath2 = './orbitdb/tests/anti-entropy/2/ipfs'
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('orbit-db - Anti-Entropy', function() {
+  this.timeout(config.timeout)
+
+  let ipfs1, ipfs2, orbitdb1, orbitdb2, db1, db2
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath1
+    config.daemon2.repo = ipfsPath2
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(config.daemon2.repo)
+    rmrf.sync(dbPath1)
+    rmrf.sync(dbPath2)
+    ipfs1 = await startIpfs(config.daemon1)
+    ipfs2 = await startIpfs(config.daemon2)
+    // Connect the peers manually to speed up test times
+    await ipfs2.swarm.connect(ipfs1._peerInfo.multiaddrs._multiaddrs[0].toString())
+    await ipfs1.swarm.connect(ipfs2._peerInfo.multiaddrs._multiaddrs[0].toString())
+    orbitdb1 = new OrbitDB(ipfs1, dbPath1)
+    orbitdb2 = new OrbitDB(ipfs2, dbPath2)
+  })
+
+  after(async () => {
+    if(orbitdb1) 
+      await orbitdb1.stop()
+
+    if(orbitdb2) 
+      await orbitdb2.stop()
+
+    if (ipfs1)
+      await ipfs1.stop()
+
+    if (ipfs2)
+      await ipfs2.stop()
+  })
+
+  afterEach(async () => {
+    await db1.drop()
+    await db2.drop()
+  })
+
+  // Writes an entry to the first database that the second database misses,
+  // as if the message with the new heads was lost
+  const missedWrite = async (name, options) => {
+    const write = [orbitdb1.key.getPublic('hex'), orbitdb2.key.getPublic('hex')]
+    db1 = await orbitdb1.eventlog(name, Object.assign({ write: write }, options))
+    db2 = await orbitdb2.eventlog(db1.address.toString(), Object.assign({ replicationMode: 'push' }, options))
+
+    await waitForPeers(ipfs1, [orbitdb2.id], db1.address.toString())
+    await waitForPeers(ipfs2, [orbitdb1.id], db1.address.toString())
+
+    await db1.add('hello')
+    await wait(1000)
+    db2.replication.setMode('both')
+  }
+
+  it('doesn\'t repair missed heads by default', async () => {
+    await missedWrite('disabled')
+    await wait(3000)
+    assert.equal(db2.iterator({ limit: -1 }).collect().length, 0)
+  })
+
+  it('repairs missed heads', async () => {
+    await missedWrite('enabled', { antiEntropy: { interval: 500, jitter: 200 } })
+
+    await new Promise(resolve => {
+      const timer = setInterval(() => {
+        if (db2.iterator({ limit: -1 }).collect().length === 1) {
+          clearInterval(timer)
+          resolve()
+        }
+      }, 200)
+    })
+
+    assert.equal(db2.iterator({ limit: -1 }).collect()[0].payload.value, 'hello')
+  })
+
+  it('sends the heads the peer is missing', async () => {
+    await missedWrite('both-ways', { antiEntropy: { interval: 500, jitter: 200 } })
+    db1.replication.setMode('push')
+    await db2.add('world')
+    db1.replication.setMode('both')
+
+    await new Promise(resolve => {
+      const timer = setInterval(() => {
+        if (db1.iterator({ limit: -1 }).collect().length === 2 && db2.iterator({ limit: -1 }).collect().length === 2) {
+          clearInterval(timer)
+          resolve()
+        }
+      }, 200)
+    })
+  })
+})
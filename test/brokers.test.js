@@ -0,0 +1,198 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const MemoryBroker = require('../src/memory-broker')
+const WebSocketBroker = require('../src/websocket-broker')
+const WebSocketRelay = require('../src/websocket-relay')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath1 = './orbitdb/tests/brokers/1'
+const dbPath2 = './orbitdb/tests/brokers/2'
+const ipfsPath = './orbitdb/tests/brokers/ipfs'
+const relayPort = 4013
+
+const waitFor = (check) => {
+  return new Promise(resolve => {
+    const timer = setInterval(() => {
+      if (check()) {
+        clearInterval(timer)
+        resolve()
+      }
+    }, 100)
+  })
+}
+
+describe('orbit-db - Brokers', function() {
+  this.timeout(config.timeout)
+
+  describe('MemoryBroker', function() {
+    let network, broker1, broker2, events, received
+
+    // The events are added to the array of the test that subscribed, the
+    // brokers disconnected after the previous test deliver their events later
+    const subscribe = (broker, id) => {
+      const received = events
+      broker.subscribe('topic',
+        (topic, message) => received.push({ id: id, type: 'message', message: message }),
+        (topic, peer) => received.push({ id: id, type: 'join', peer: peer }),
+        (topic, peer) => received.push({ id: id, type: 'leave', peer: peer })
+      )
+    }
+
+    beforeEach(() => {
+      network = {}
+      events = received = []
+      broker1 = new MemoryBroker(null, 'peer1', { network: network })
+      broker2 = new MemoryBroker(null, 'peer2', { network: network })
+    })
+
+    afterEach(() => {
+      broker1.disconnect()
+      broker2.disconnect()
+    })
+
+    it('tells the peers when others join the topic', async () => {
+      subscribe(broker1, 'peer1')
+      subscribe(broker2, 'peer2')
+      await waitFor(() => received.length === 2)
+      assert.deepEqual(broker1.peers('topic'), ['peer2'])
+      assert.deepEqual(broker2.peers('topic'), ['peer1'])
+      assert.deepEqual(received.find(e => e.id === 'peer1'), { id: 'peer1', type: 'join', peer: 'peer2' })
+      assert.deepEqual(received.find(e => e.id === 'peer2'), { id: 'peer2', type: 'join', peer: 'peer1' })
+    })
+
+    it('publishes a message to the other peers', async () => {
+      subscribe(broker1, 'peer1')
+      subscribe(broker2, 'peer2')
+      broker1.publish('topic', { hello: 'world' })
+      await waitFor(() => received.length === 3)
+      const messages = received.filter(e => e.type === 'message')
+      assert.deepEqual(messages, [{ id: 'peer2', type: 'message', message: { hello: 'world' } }])
+    })
+
+    it('sends a message to one peer', async () => {
+      const broker3 = new MemoryBroker(null, 'peer3', { network: network })
+      subscribe(broker1, 'peer1')
+      subscribe(broker2, 'peer2')
+      subscribe(broker3, 'peer3')
+      broker1.sendTo('topic', 'peer3', { hello: 'peer3' })
+      await waitFor(() => received.filter(e => e.type === 'message').length === 1)
+      const messages = received.filter(e => e.type === 'message')
+      assert.deepEqual(messages, [{ id: 'peer3', type: 'message', message: { hello: 'peer3' } }])
+      broker3.disconnect()
+    })
+
+    it('tells the peers when others leave the topic', async () => {
+      subscribe(broker1, 'peer1')
+      subscribe(broker2, 'peer2')
+      broker2.unsubscribe('topic')
+      await waitFor(() => received.find(e => e.type === 'leave'))
+      assert.deepEqual(received.find(e => e.type === 'leave'), { id: 'peer1', type: 'leave', peer: 'peer2' })
+      assert.deepEqual(broker1.peers('topic'), [])
+    })
+
+    it('doesn\'t deliver messages to other networks', async () => {
+      const broker3 = new MemoryBroker(null, 'peer3', { network: {} })
+      subscribe(broker1, 'peer1')
+      subscribe(broker3, 'peer3')
+      broker1.publish('topic', { hello: 'world' })
+      await new Promise(resolve => setTimeout(resolve, 100))
+      assert.deepEqual(received, [])
+      broker3.disconnect()
+    })
+  })
+
+  describe('Replication', function() {
+    let ipfs, relay
+
+    before(async () => {
+      config.daemon1.repo = ipfsPath
+      rmrf.sync(config.daemon1.repo)
+      ipfs = await startIpfs(config.daemon1)
+      relay = await WebSocketRelay.start({ port: relayPort })
+    })
+
+    after(async () => {
+      if (relay)
+        await relay.stop()
+
+      if (ipfs)
+        await ipfs.stop()
+    })
+
+    // The keystores are kept open by their path, so each test has its own peer ids
+    const replicates = (name, brokerOptions) => async () => {
+      rmrf.sync(dbPath1)
+      rmrf.sync(dbPath2)
+
+      const orbitdb1 = new OrbitDB(ipfs, dbPath1, Object.assign({ peerId: `${name}-peer1` }, brokerOptions))
+      const orbitdb2 = new OrbitDB(ipfs, dbPath2, Object.assign({ peerId: `${name}-peer2` }, brokerOptions))
+
+      try {
+        const db1 = await orbitdb1.eventlog('brokers')
+        const db2 = await orbitdb2.eventlog(db1.address.toString())
+
+        await waitFor(() => db1.peers().length === 1 && db2.peers().length === 1)
+        assert.equal(db1.peers()[0].id, `${name}-peer2`)
+
+        await db1.add('hello')
+        await db1.add('world')
+        await waitFor(() => db2._oplog.length === 2)
+
+        const items = db2.iterator({ limit: -1 }).collect()
+        assert.deepEqual(items.map(e => e.payload.value), ['hello', 'world'])
+      } finally {
+        await orbitdb1.stop()
+        await orbitdb2.stop()
+      }
+    }
+
+    it('replicates a database with the memory broker', replicates('memory', {
+      broker: MemoryBroker,
+      brokerOptions: { network: {} },
+    }))
+
+    it('replicates a database through the WebSocket relay', replicates('websocket', {
+      broker: WebSocketBroker,
+      brokerOptions: { url: `ws://localhost:${relayPort}` },
+    }))
+
+    it('doesn\'t let another connection take over the id of a peer', async () => {
+      const options = { url: `ws://localhost:${relayPort}`, reconnectInterval: 0 }
+      const broker1 = new WebSocketBroker(ipfs, 'owner', options)
+      const broker2 = new WebSocketBroker(ipfs, 'other', options)
+      const received = []
+
+      try {
+        broker1.subscribe('takeover', (topic, message) => received.push(message))
+        broker2.subscribe('takeover')
+        await waitFor(() => relay.peers('takeover').length === 2)
+
+        const impostor = new WebSocketBroker(ipfs, 'owner', Object.assign({}, options, { reconnectInterval: 1000 }))
+        impostor.subscribe('takeover')
+        await new Promise(resolve => setTimeout(resolve, 200))
+        impostor.disconnect()
+
+        broker2.sendTo('takeover', 'owner', 'hello')
+        await waitFor(() => received.length === 1)
+        assert.deepEqual(received, ['hello'])
+      } finally {
+        broker1.disconnect()
+        broker2.disconnect()
+      }
+    })
+
+    it('throws an error if the WebSocket broker is not given the relay url', async () => {
+      let err
+      try {
+        new OrbitDB(ipfs, dbPath1, { peerId: 'peer1', broker: WebSocketBroker })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, `Error: WebSocket broker needs the 'url' of the relay`)
+    })
+  })
+})
@@ -0,0 +1,148 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/compaction'
+const ipfsPath = './orbitdb/tests/compaction/ipfs'
+
+describe('orbit-db - Compaction', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, orbitdb
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    ipfs = await startIpfs(config.daemon1)
+    orbitdb = new OrbitDB(ipfs, dbPath)
+  })
+
+  after(async () => {
+    if (orbitdb)
+      await orbitdb.stop()
+
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  it('compacts a key-value database to a checkpoint', async () => {
+    // Few references to the previous entries, so that the checkpoint prunes most of the history.
+    // The compaction is saved in the manifest, so the database is reopened with it.
+    const db = await orbitdb.keyvalue('compacted', { referenceCount: 2, storeOptions: { compaction: true } })
+    for (let i = 0; i < 20; i ++)
+      await db.put(`key${i % 4}`, i)
+    await db.del('key0')
+    await db.compact()
+
+    assert.equal(db.checkpoints.length, 1)
+    assert.equal(db.get('key0'), undefined)
+    assert.equal(db.get('key3'), 19)
+
+    await db.put('key1', 'hello')
+    const address = db.address.toString()
+    await db.close()
+
+    const reopened = await orbitdb.keyvalue(address, { localOnly: true, referenceCount: 2 })
+    await reopened.load()
+    assert.equal(reopened._oplog.length < 10, true)
+    assert.equal(reopened.get('key0'), undefined)
+    assert.equal(reopened.get('key1'), 'hello')
+    assert.equal(reopened.get('key2'), 18)
+    assert.equal(reopened.get('key3'), 19)
+    await reopened.close()
+  })
+
+  it('compacts a counter database to a checkpoint', async () => {
+    const db = await orbitdb.counter('compacted-counter', { referenceCount: 2, compaction: true })
+    for (let i = 0; i < 10; i ++)
+      await db.inc(2)
+    await db.compact()
+    await db.inc(1)
+
+    const address = db.address.toString()
+    await db.close()
+
+    const reopened = await orbitdb.counter(address, { localOnly: true, referenceCount: 2, compaction: true })
+    await reopened.load()
+    assert.equal(reopened._oplog.length < 10, true)
+    assert.equal(reopened.value, 21)
+    await reopened.close()
+  })
+
+  it('keeps the latest entries of the retention', async () => {
+    const db = await orbitdb.keyvalue('retention', { referenceCount: 2, compaction: true })
+    for (let i = 0; i < 20; i ++)
+      await db.put('key', i)
+    await db.compact({ entries: 10 })
+
+    const address = db.address.toString()
+    await db.close()
+
+    const reopened = await orbitdb.keyvalue(address, { localOnly: true, referenceCount: 2, compaction: true })
+    await reopened.load()
+    assert.equal(reopened._oplog.length >= 11, true)
+    assert.equal(reopened.get('key'), 19)
+    await reopened.close()
+  })
+
+  it('keeps the history of the checkpoints written in the last days', async () => {
+    const db = await orbitdb.keyvalue('retention-days', { compaction: true, retention: { days: 7 } })
+    await db.put('key', 'hello')
+    await db.compact()
+
+    assert.deepEqual(db.checkpoints[0].payload.value.prune, {})
+    await db.close()
+  })
+
+  it('doesn\'t compact before the history has been loaded', async () => {
+    const db = await orbitdb.keyvalue('partial', { referenceCount: 2, compaction: true })
+    for (let i = 0; i < 10; i ++)
+      await db.put('key', i)
+
+    const address = db.address.toString()
+    await db.close()
+
+    const reopened = await orbitdb.keyvalue(address, { localOnly: true, referenceCount: 2, compaction: true })
+    await reopened.load(2)
+
+    let err
+    try {
+      await reopened.compact()
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, `Error: Can't compact '${address}' before its history has been loaded`)
+    await reopened.close()
+  })
+  it('doesn\'t compact the databases opened without compaction', async () => {
+    const db = await orbitdb.keyvalue('not-compacted')
+    assert.equal(db.compact, undefined)
+    assert.equal(db.checkpoints, undefined)
+    await db.close()
+  })
+
+  it('throws an error if a database type can\'t be compacted', async () => {
+    let err
+    try {
+      await orbitdb.eventlog('compacted-eventlog', { compaction: true })
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err.indexOf(`can't be compacted, only the key-value and counter databases can`) > 0, true)
+  })
+
+  it('throws an error if an encrypted database is opened with compaction', async () => {
+    let err
+    try {
+      await orbitdb.keyvalue('compacted-encrypted', { read: [orbitdb.key.getPublic('hex')], compaction: true })
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err.indexOf(`is encrypted, encrypted databases can't be compacted`) > 0, true)
+  })
+})
@@ -0,0 +1,129 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const rmrf = require('rimraf')
+const EventEmitter = require('events').EventEmitter
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/create-instance'
+const ipfsPath = './orbitdb/tests/create-instance/ipfs'
+
+describe('orbit-db - Create Instance', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, orbitdb
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    ipfs = await startIpfs(config.daemon1)
+  })
+
+  after(async () => {
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  afterEach(async () => {
+    if (orbitdb)
+      await orbitdb.stop()
+
+    orbitdb = null
+  })
+
+  describe('Success', function() {
+    it('creates an instance', async () => {
+      orbitdb = await OrbitDB.create(ipfs, { directory: dbPath })
+      assert.equal(orbitdb instanceof OrbitDB, true)
+    })
+
+    it('uses the IPFS node\'s id as the id', async () => {
+      const peerId = (await ipfs.id()).id
+      orbitdb = await OrbitDB.create(ipfs, { directory: dbPath })
+      assert.equal(orbitdb.id, peerId)
+    })
+
+    it('uses the given id', async () => {
+      orbitdb = await OrbitDB.create(ipfs, { directory: dbPath, peerId: 'another-id' })
+      assert.equal(orbitdb.id, 'another-id')
+    })
+
+    it('creates the directory and the keystore', async () => {
+      const directory = path.join(dbPath, 'new', 'directory')
+      orbitdb = await OrbitDB.create(ipfs, { directory: directory })
+      assert.equal(orbitdb.directory, directory)
+      assert.equal(fs.existsSync(path.join(directory, orbitdb.id, 'keystore')), true)
+      assert.notEqual(orbitdb.key, null)
+    })
+
+    it('uses the same key when created again', async () => {
+      orbitdb = await OrbitDB.create(ipfs, { directory: dbPath })
+      const publicKey = orbitdb.key.getPublic('hex')
+      await orbitdb.stop()
+      orbitdb = await OrbitDB.create(ipfs, { directory: dbPath })
+      assert.equal(orbitdb.key.getPublic('hex'), publicKey)
+    })
+
+    it('waits for IPFS to be ready', async () => {
+      const ipfsNotReady = new EventEmitter()
+      ipfsNotReady.id = () => ipfs.id()
+      ipfsNotReady.pubsub = ipfs.pubsub
+      setTimeout(() => ipfsNotReady.emit('ready'), 100)
+      orbitdb = await OrbitDB.create(ipfsNotReady, { directory: dbPath })
+      assert.equal(orbitdb.id, (await ipfs.id()).id)
+    })
+
+    it('opens an instance', async () => {
+      orbitdb = await OrbitDB.open(ipfs, { directory: dbPath })
+      assert.equal(orbitdb instanceof OrbitDB, true)
+      const db = await orbitdb.feed('create-instance')
+      assert.notEqual(db, null)
+    })
+  })
+
+  describe('Errors', function() {
+    it('rejects if IPFS instance is not given', async () => {
+      let err
+      try {
+        orbitdb = await OrbitDB.create()
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: IPFS instance not defined')
+    })
+
+    it('rejects if IPFS fails to start', async () => {
+      const ipfsFailing = new EventEmitter()
+      setTimeout(() => ipfsFailing.emit('error', new Error('repo is locked')), 100)
+      let err
+      try {
+        orbitdb = await OrbitDB.create(ipfsFailing, { directory: dbPath })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: IPFS failed to start: repo is locked')
+    })
+
+    it('rejects if the keystore can\'t be opened', async () => {
+      const directory = path.join(dbPath, 'broken')
+      const keystorePath = path.join(directory, 'broken-id', 'keystore')
+      rmrf.sync(directory)
+      fs.mkdirSync(directory)
+      fs.mkdirSync(path.join(directory, 'broken-id'))
+      // A file where the keystore directory should be
+      fs.writeFileSync(keystorePath, 'not a keystore')
+      let err
+      try {
+        orbitdb = await OrbitDB.create(ipfs, { directory: directory, peerId: 'broken-id' })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err.indexOf(`Error: Couldn't open the keystore in '${keystorePath}'`), 0)
+    })
+  })
+})
@@ -132,6 +132,7 @@ describe('orbit-db - Create & Open', function() {
         assert.equal(manifest.type, 'feed')
         assert.notEqual(manifest.accessController, null)
         assert.equal(manifest.accessController.indexOf('/ipfs'), 0)
+        assert.equal(manifest.accessControllerType, 'ipfs')
       })
 
       it('can pass local database directory as an option', async () => {
@@ -171,9 +172,28 @@ describe('orbit-db - Create & Open', function() {
           assert.deepEqual(db.access.admin, [])
         })
 
-        it('creates an access controller and doesn\'t add read access keys', async () => {
-          db = await orbitdb.create('seventh', 'feed', { read: ['one', 'two'] })
+        it('creates an access controller and doesn\'t add read access keys by default', async () => {
+          db = await orbitdb.create('seventh', 'feed')
           assert.deepEqual(db.access.read, [])
+          assert.equal(db.access.encrypted, false)
+        })
+
+        it('creates an access controller and adds read access keys', async () => {
+          const reader = orbitdb.keystore.createKey('reader').getPublic('hex')
+          db = await orbitdb.create('eighth', 'feed', { read: [reader] })
+          assert.deepEqual(db.access.read, [reader, orbitdb.key.getPublic('hex')])
+          assert.equal(db.access.encrypted, true)
+        })
+
+        it('throws an error if read access keys are not valid', async () => {
+          let err
+          try {
+            db = await orbitdb.create('ninth', 'feed', { read: ['one', 'two'] })
+          } catch (e) {
+            err = e.toString()
+          }
+          db = null
+          assert.equal(err, 'Error: Invalid read key \'one\'')
         })
       })
     })
@@ -211,6 +231,13 @@ describe('orbit-db - Create & Open', function() {
       assert.equal(db.address.toString().indexOf('abc'), 56)
     })
 
+    it('opens a database - name that is also a base58 string', async () => {
+      const feed = await orbitdb.open('ntaskk', { create: true, type: 'feed', overwrite: true })
+      assert.equal(feed.address.toString().indexOf('/orbitdb'), 0)
+      assert.equal(feed.address.path, 'ntaskk')
+      await feed.close()
+    })
+
     it('opens the same database - from an address', async () => {
       db = await orbitdb.open(db.address)
       assert.equal(db.address.toString().indexOf('/orbitdb'), 0)
@@ -0,0 +1,112 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const DocumentStore = require('orbit-db-docstore')
+const OrbitDB = require('../src/OrbitDB')
+const createDBManifest = require('../src/db-manifest')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/create-type'
+const ipfsPath = './orbitdb/tests/create-type/ipfs'
+
+class CustomStore extends DocumentStore {
+  constructor (ipfs, id, dbname, options) {
+    super(ipfs, id, dbname, options)
+    this._type = CustomStore.type
+  }
+
+  static get type () {
+    return 'custom'
+  }
+}
+
+describe('orbit-db - Create Custom Type', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, orbitdb
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    ipfs = await startIpfs(config.daemon1)
+    orbitdb = new OrbitDB(ipfs, dbPath)
+  })
+
+  after(async () => {
+    if (orbitdb)
+      await orbitdb.stop()
+
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  describe('addDatabaseType', function() {
+    it('throws an error if the type already exists', async () => {
+      let err
+      try {
+        OrbitDB.addDatabaseType('feed', CustomStore)
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Database type \'feed\' already exists')
+    })
+
+    it('throws an error if the store is not a class', async () => {
+      let err
+      try {
+        OrbitDB.addDatabaseType('not-a-class', {})
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Store for database type \'not-a-class\' must be a class')
+    })
+
+    it('adds a new database type', async () => {
+      OrbitDB.addDatabaseType(CustomStore.type, CustomStore)
+      assert.equal(OrbitDB.isValidType(CustomStore.type), true)
+      assert.equal(OrbitDB.getDatabaseTypes()[CustomStore.type], CustomStore)
+      assert.equal(orbitdb.types.includes(CustomStore.type), true)
+    })
+
+    it('doesn\'t expose the internal registry', async () => {
+      const types = OrbitDB.getDatabaseTypes()
+      types['another'] = CustomStore
+      assert.equal(OrbitDB.isValidType('another'), false)
+    })
+  })
+
+  describe('Create & Open', function() {
+    it('creates a database of the custom type', async () => {
+      const db = await orbitdb.create('custom-db', CustomStore.type)
+      assert.equal(db instanceof CustomStore, true)
+      assert.equal(db.type, CustomStore.type)
+      await db.close()
+    })
+
+    it('opens a database of the custom type from an address', async () => {
+      const db1 = await orbitdb.create('custom-db-2', CustomStore.type)
+      const address = db1.address.toString()
+      await db1.close()
+
+      const db2 = await orbitdb.open(address)
+      assert.equal(db2 instanceof CustomStore, true)
+      assert.equal(db2.type, CustomStore.type)
+      await db2.close()
+    })
+
+    it('throws an error when opening an address of an unknown type', async () => {
+      const manifestHash = await createDBManifest(ipfs, 'unknown-db', 'unknown-type', 'QmPFtHi3cmfZerxtH9ySLdzpg1yFhocYDZgEZywdUXHxFU')
+      const address = `/orbitdb/${manifestHash}/unknown-db`
+      let err
+      try {
+        await orbitdb.open(address)
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, `Error: Database '${address}' is of unknown type 'unknown-type'. Add the type with OrbitDB.addDatabaseType()`)
+    })
+  })
+})
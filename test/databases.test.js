@@ -0,0 +1,101 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/databases'
+const ipfsPath = './orbitdb/tests/databases/ipfs'
+
+describe('orbit-db - Local databases', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, orbitdb, feed, log, kv
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    ipfs = await startIpfs(config.daemon1)
+    orbitdb = new OrbitDB(ipfs, dbPath)
+
+    feed = await orbitdb.feed('first')
+    await feed.add('hello')
+    await feed.add('world')
+    log = await orbitdb.eventlog('second')
+    kv = await orbitdb.kvstore('first-kv')
+    await kv.put('hello', 'world')
+    await kv.close()
+  })
+
+  after(async () => {
+    if (orbitdb)
+      await orbitdb.stop()
+
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  describe('databases', function() {
+    it('returns the databases that have been opened', async () => {
+      const databases = await orbitdb.databases()
+      const addresses = databases.map(e => e.address.toString())
+      assert.equal(databases.length, 3)
+      assert.equal(addresses.includes(feed.address.toString()), true)
+      assert.equal(addresses.includes(log.address.toString()), true)
+      assert.equal(addresses.includes(kv.address.toString()), true)
+    })
+
+    it('returns the info of a database', async () => {
+      const databases = await orbitdb.databases({ type: 'feed' })
+      const database = databases[0]
+      assert.equal(database.address.toString(), feed.address.toString())
+      assert.equal(database.name, 'first')
+      assert.equal(database.type, 'feed')
+      assert.equal(database.manifest.name, 'first')
+      assert.equal(database.manifest.type, 'feed')
+      assert.equal(database.manifest.accessControllerType, 'ipfs')
+      assert.equal(database.entries, 2)
+      assert.equal(database.size > 0, true)
+      assert.equal(database.lastOpened <= Date.now(), true)
+    })
+
+    it('returns the number of entries of a closed database', async () => {
+      const databases = await orbitdb.databases({ type: 'keyvalue' })
+      assert.equal(databases.length, 1)
+      assert.equal(databases[0].entries, 1)
+    })
+
+    it('filters the databases by type', async () => {
+      const databases = await orbitdb.databases({ type: 'eventlog' })
+      assert.equal(databases.length, 1)
+      assert.equal(databases[0].address.toString(), log.address.toString())
+    })
+
+    it('filters the databases by name', async () => {
+      const databases = await orbitdb.databases({ name: 'second' })
+      assert.equal(databases.length, 1)
+      assert.equal(databases[0].address.toString(), log.address.toString())
+    })
+
+    it('filters the databases by a name pattern', async () => {
+      const databases = await orbitdb.databases({ name: /^first/ })
+      assert.deepEqual(databases.map(e => e.name).sort(), ['first', 'first-kv'])
+    })
+
+    it('returns an empty list if no databases match', async () => {
+      const databases = await orbitdb.databases({ type: 'docstore' })
+      assert.deepEqual(databases, [])
+    })
+
+    it('keeps the databases after the instance was stopped', async () => {
+      await orbitdb.stop()
+      orbitdb = new OrbitDB(ipfs, dbPath)
+      const databases = await orbitdb.databases()
+      assert.equal(databases.length, 3)
+      assert.equal(databases.find(e => e.type === 'feed').entries, 2)
+    })
+  })
+})
@@ -0,0 +1,111 @@
+'use strict'
+
+const assert = require('assert')
+const mapSeries = require('p-each-series')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const HeadsProtocol = require('../src/heads-protocol')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+const waitForPeers = require('./utils/wait-for-peers')
+
+const dbPath1 = './orbitdb/tests/direct-streams/1'
+const dbPath2 = './orbitdb/tests/direct-streams/2'
+const ipfsPath1 = './orbitdb/tests/direct-streams/1/ipfs'
+const ipfsPath2 = './orbitdb/tests/direct-streams/2/ipfs'
+
+describe('orbit-db - Direct Streams', function() {
+  this.timeout(config.timeout)
+
+  let ipfs1, ipfs2, orbitdb1, orbitdb2, db1, db2
+  let published = []
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath1
+    config.daemon2.repo = ipfsPath2
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(config.daemon2.repo)
+    rmrf.sync(dbPath1)
+    rmrf.sync(dbPath2)
+    ipfs1 = await startIpfs(config.daemon1)
+    ipfs2 = await startIpfs(config.daemon2)
+    // Connect the peers manually to speed up test times
+    await ipfs2.swarm.connect(ipfs1._peerInfo.multiaddrs._multiaddrs[0].toString())
+    await ipfs1.swarm.connect(ipfs2._peerInfo.multiaddrs._multiaddrs[0].toString())
+    orbitdb1 = new OrbitDB(ipfs1, dbPath1, { replication: { directStreams: true } })
+    orbitdb2 = new OrbitDB(ipfs2, dbPath2, { replication: { directStreams: true } })
+
+    // Record the messages sent through pubsub
+    const publish = orbitdb1._pubsub.publish.bind(orbitdb1._pubsub)
+    orbitdb1._pubsub.publish = (topic, message) => {
+      published.push(message)
+      return publish(topic, message)
+    }
+
+    db1 = await orbitdb1.eventlog('direct streams')
+    db2 = await orbitdb2.eventlog(db1.address.toString())
+
+    await waitForPeers(ipfs1, [orbitdb2.id], db1.address.toString())
+    await waitForPeers(ipfs2, [orbitdb1.id], db1.address.toString())
+  })
+
+  after(async () => {
+    if(orbitdb1)
+      await orbitdb1.stop()
+
+    if(orbitdb2)
+      await orbitdb2.stop()
+
+    if (ipfs1)
+      await ipfs1.stop()
+
+    if (ipfs2)
+      await ipfs2.stop()
+  })
+
+  it('uses direct streams with js-ipfs', async () => {
+    assert.equal(HeadsProtocol.isSupported(ipfs1), true)
+    assert.equal(orbitdb1._headsProtocol instanceof HeadsProtocol, true)
+  })
+
+  it('replicates the database without publishing to pubsub', async () => {
+    const entryCount = 10
+    const entryArr = []
+
+    for (let i = 0; i < entryCount; i ++)
+      entryArr.push(i)
+
+    published = []
+    await mapSeries(entryArr, (i) => db1.add('hello' + i))
+
+    await new Promise(resolve => {
+      const timer = setInterval(() => {
+        if (db2._oplog.length === entryCount) {
+          clearInterval(timer)
+          resolve()
+        }
+      }, 200)
+    })
+
+    const items = db2.iterator({ limit: -1 }).collect()
+    assert.equal(items.length, entryCount)
+    assert.equal(items[0].payload.value, 'hello0')
+    assert.equal(items[items.length - 1].payload.value, 'hello9')
+    assert.deepEqual(published, [])
+  })
+
+  it('acknowledges the heads over the stream', async () => {
+    await db1.add('acknowledged')
+
+    await new Promise(resolve => {
+      const timer = setInterval(() => {
+        if (db1.pendingAnnouncements().length === 0) {
+          clearInterval(timer)
+          resolve()
+        }
+      }, 200)
+    })
+
+    assert.deepEqual(db1.pendingAnnouncements(), [])
+  })
+})
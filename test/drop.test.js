@@ -0,0 +1,185 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/drop'
+const ipfsPath = './orbitdb/tests/drop/ipfs'
+
+describe('orbit-db - Drop', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, orbitdb
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    ipfs = await startIpfs(config.daemon1)
+    orbitdb = new OrbitDB(ipfs, dbPath)
+  })
+
+  after(async () => {
+    if (orbitdb)
+      await orbitdb.stop()
+
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  const openedAndClosed = async (name) => {
+    const db = await orbitdb.feed(name)
+    await db.add('hello')
+    await db.close()
+    return db.address.toString()
+  }
+
+  it('drops a database that is not open', async () => {
+    const address = await openedAndClosed('not-open')
+    await orbitdb.drop(address)
+
+    const databases = await orbitdb.databases()
+    assert.equal(databases.find(e => e.address.toString() === address), undefined)
+  })
+
+  it('removes the local manifest record', async () => {
+    const address = await openedAndClosed('manifest')
+    await orbitdb.drop(address)
+
+    let err
+    try {
+      await orbitdb.open(address, { localOnly: true })
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, `Error: Database '${address}' doesn't exist!`)
+  })
+
+  it('removes the local files of the database', async () => {
+    const address = await openedAndClosed('files')
+    const root = address.split('/')[2]
+    assert.equal(fs.existsSync(path.join(dbPath, root)), true)
+
+    await orbitdb.drop(address)
+    assert.equal(fs.existsSync(path.join(dbPath, root)), false)
+  })
+
+  it('doesn\'t load the entries when opened again', async () => {
+    const address = await openedAndClosed('reopen')
+    await orbitdb.drop(address)
+
+    const db = await orbitdb.feed(address)
+    await db.load()
+    assert.equal(db.iterator({ limit: -1 }).collect().length, 0)
+    await db.close()
+  })
+
+  it('drops a database opened from another directory', async () => {
+    const directory = path.join(dbPath, 'other')
+    const db = await orbitdb.feed('directory', { directory: directory })
+    const address = db.address.toString()
+    const root = address.split('/')[2]
+    await db.add('hello')
+    await db.close()
+
+    await orbitdb.drop(address)
+    assert.equal(fs.existsSync(path.join(directory, root)), false)
+    assert.equal(fs.existsSync(path.join(dbPath, root)), false)
+
+    const reopened = await orbitdb.feed(address, { directory: directory })
+    await reopened.load()
+    assert.equal(reopened.iterator({ limit: -1 }).collect().length, 0)
+    await reopened.close()
+  })
+
+  it('closes and drops an open database', async () => {
+    const db = await orbitdb.feed('open')
+    const address = db.address.toString()
+    await db.add('hello')
+
+    await orbitdb.drop(address)
+    assert.equal(orbitdb.stores[address], undefined)
+    assert.equal((await orbitdb.databases()).find(e => e.address.toString() === address), undefined)
+  })
+
+  it('emits an event', async () => {
+    const address = await openedAndClosed('event')
+    let dropped
+    orbitdb.events.once('db.drop', (addr) => dropped = addr)
+
+    await orbitdb.drop(address)
+    assert.equal(dropped, address)
+  })
+
+  it('unpins the database', async function () {
+    // js-ipfs 0.27 doesn't have the pin API
+    if (!ipfs.pin)
+      return this.skip()
+
+    const db = await orbitdb.feed('unpin')
+    const address = db.address.toString()
+    const hash = await db.add('hello')
+    const accessController = db.manifest.accessController.split('/').pop()
+    await db.close()
+
+    await ipfs.pin.add(db.address.root)
+    await ipfs.pin.add(hash)
+    await ipfs.pin.add(accessController)
+
+    await orbitdb.drop(address, { unpin: true })
+    const pins = (await ipfs.pin.ls()).map(e => e.hash)
+    assert.equal(pins.includes(db.address.root), false)
+    assert.equal(pins.includes(hash), false)
+    assert.equal(pins.includes(accessController), true)
+  })
+
+  it('drops a database with \'unpin\' if IPFS doesn\'t support pinning', async () => {
+    const address = await openedAndClosed('unpin-unsupported')
+    await orbitdb.drop(address, { unpin: true })
+    assert.equal((await orbitdb.databases()).find(e => e.address.toString() === address), undefined)
+  })
+
+  it('drops the database of the access rights', async () => {
+    const db = await orbitdb.feed('admins', { admin: [orbitdb.key.getPublic('hex')] })
+    const address = db.address.toString()
+    const accessLog = db.access.log
+    await db.add('hello')
+
+    await orbitdb.drop(address)
+    const databases = (await orbitdb.databases()).map(e => e.address.toString())
+    assert.equal(databases.includes(address), false)
+    assert.equal(databases.includes(accessLog), false)
+    assert.equal(orbitdb.stores[accessLog], undefined)
+    assert.equal(fs.existsSync(path.join(dbPath, accessLog.split('/')[2])), false)
+  })
+
+  it('keeps the database of the access rights if another database uses it', async () => {
+    const admin = [orbitdb.key.getPublic('hex')]
+    const db1 = await orbitdb.feed('shared-admins', { admin: admin })
+    const db2 = await orbitdb.feed('shared-admins', { admin: admin, write: [orbitdb.key.getPublic('hex'), '*'] })
+    assert.notEqual(db1.address.toString(), db2.address.toString())
+    assert.equal(db1.access.log, db2.access.log)
+    const accessLog = db1.access.log
+
+    await orbitdb.drop(db1.address.toString())
+    const databases = (await orbitdb.databases()).map(e => e.address.toString())
+    assert.equal(databases.includes(accessLog), true)
+    await orbitdb.drop(db2.address.toString())
+  })
+
+  it('throws an error if the database doesn\'t exist', async () => {
+    const address = '/orbitdb/Qmc9PMho3LwTXSaUXJ8WjeBZyXesAwUofdkGeadFXsqMzW/unknown'
+    let err
+    try {
+      await orbitdb.drop(address)
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, `Error: Database '${address}' doesn't exist!`)
+  })
+})
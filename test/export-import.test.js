@@ -0,0 +1,175 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const mkdirp = require('mkdirp')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/export-import'
+const ipfsPath = './orbitdb/tests/export-import/ipfs'
+const ipfsPath2 = './orbitdb/tests/export-import/ipfs2'
+const archivePath = path.join(dbPath, 'archives')
+
+describe('orbit-db - Export and Import', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, ipfs2, orbitdb1, orbitdb2, orbitdb3
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    mkdirp.sync(archivePath)
+    ipfs = await startIpfs(config.daemon1)
+    orbitdb1 = new OrbitDB(ipfs, path.join(dbPath, '1'), { peerId: 'export' })
+    orbitdb2 = new OrbitDB(ipfs, path.join(dbPath, '2'), { peerId: 'import' })
+  })
+
+  after(async () => {
+    if (orbitdb1)
+      await orbitdb1.stop()
+
+    if (orbitdb2)
+      await orbitdb2.stop()
+
+    if (orbitdb3)
+      await orbitdb3.stop()
+
+    if (ipfs)
+      await ipfs.stop()
+
+    if (ipfs2)
+      await ipfs2.stop()
+  })
+
+  it('exports and imports a database', async () => {
+    const file = path.join(archivePath, 'feed.json')
+    const db = await orbitdb1.feed('exported')
+    await db.add('hello')
+    await db.add('world')
+    await orbitdb1.export(db.address, file)
+
+    const address = await orbitdb2.import(file)
+    assert.equal(address.toString(), db.address.toString())
+
+    const databases = await orbitdb2.databases({ name: 'exported' })
+    assert.equal(databases.length, 1)
+
+    const imported = await orbitdb2.feed(address, { localOnly: true })
+    await imported.load()
+    const items = imported.iterator({ limit: -1 }).collect()
+    assert.deepEqual(items.map(e => e.payload.value), ['hello', 'world'])
+    await imported.close()
+  })
+
+  it('exports a database that is not open', async () => {
+    const file = path.join(archivePath, 'closed.json')
+    const db = await orbitdb1.kvstore('closed')
+    await db.put('hello', 'world')
+    const address = db.address.toString()
+    await db.close()
+
+    await orbitdb1.export(address, file)
+    await orbitdb2.import(file)
+
+    const imported = await orbitdb2.kvstore(address, { localOnly: true })
+    await imported.load()
+    assert.equal(imported.get('hello'), 'world')
+    await imported.close()
+  })
+
+  it('exports the access rights of databases with admins', async () => {
+    const file = path.join(archivePath, 'admins.json')
+    const db = await orbitdb1.eventlog('admins', { admin: [orbitdb1.key.getPublic('hex')] })
+    await db.add('hello')
+    await orbitdb1.export(db.address, file)
+
+    const archive = JSON.parse(fs.readFileSync(file))
+    assert.equal(archive.databases.length, 2)
+    assert.equal(archive.databases[1].address, db.access.log)
+  })
+
+  it('exports the databases compacted to their checkpoints', async () => {
+    const file = path.join(archivePath, 'compacted.json')
+    const db = await orbitdb1.keyvalue('compacted', { referenceCount: 2, storeOptions: { compaction: true } })
+    for (let i = 0; i < 20; i ++)
+      await db.put(`key${i % 4}`, i)
+    await db.compact()
+    await db.put('key1', 'hello')
+    await orbitdb1.export(db.address, file)
+
+    const archive = JSON.parse(fs.readFileSync(file))
+    const count = Object.keys(archive.databases[0].objects).length
+    assert.equal(count < 10, true)
+
+    // A replica on a node that isn't connected to the first one doesn't have the pruned history
+    const options = JSON.parse(JSON.stringify(config.daemon2))
+    options.repo = ipfsPath2
+    options.config.Discovery.MDNS.Enabled = false
+    rmrf.sync(ipfsPath2)
+    ipfs2 = await startIpfs(options)
+    orbitdb3 = new OrbitDB(ipfs2, path.join(dbPath, '3'), { peerId: 'replica' })
+
+    const address = await orbitdb3.import(file)
+    const replica = await orbitdb3.keyvalue(address, { localOnly: true, referenceCount: 2 })
+    await replica.load()
+    assert.equal(replica.get('key1'), 'hello')
+    assert.equal(replica.get('key3'), 19)
+    await replica.close()
+
+    const exported = path.join(archivePath, 'replica.json')
+    await orbitdb3.export(address, exported)
+    const replicated = JSON.parse(fs.readFileSync(exported))
+    assert.equal(Object.keys(replicated.databases[0].objects).length, count)
+  })
+
+  it('throws an error when the database doesn\'t exist', async () => {
+    const address = '/orbitdb/Qmd8TmZrWASypEp4Er9tgWP4kCNQnW4ncSnvjvyHQ3EVSU/missing'
+    let err
+    try {
+      await orbitdb1.export(address, path.join(archivePath, 'missing.json'))
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, `Error: Database '${address}' doesn't exist!`)
+  })
+
+  it('throws an error when an archive was changed', async () => {
+    const file = path.join(archivePath, 'changed.json')
+    const db = await orbitdb1.feed('changed')
+    const hash = await db.add('hello')
+    await orbitdb1.export(db.address, file)
+
+    const archive = JSON.parse(fs.readFileSync(file))
+    archive.databases[0].objects[hash] = archive.databases[0].objects[hash].replace('hello', 'world')
+    fs.writeFileSync(file, JSON.stringify(archive))
+
+    let err
+    try {
+      await orbitdb2.import(file)
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, `Error: Couldn't import '${file}': object '${hash}' doesn't match its content`)
+
+    const databases = await orbitdb2.databases({ name: 'changed' })
+    assert.deepEqual(databases, [])
+  })
+
+  it('throws an error when the file is not an archive', async () => {
+    const file = path.join(archivePath, 'invalid.json')
+    fs.writeFileSync(file, JSON.stringify({ hello: 'world' }))
+
+    let err
+    try {
+      await orbitdb2.import(file)
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, `Error: Couldn't import '${file}': Not an OrbitDB archive`)
+  })
+})
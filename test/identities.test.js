@@ -0,0 +1,101 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/identities'
+const ipfsPath = './orbitdb/tests/identities/ipfs'
+
+describe('orbit-db - Identities', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, orbitdb
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    ipfs = await startIpfs(config.daemon1)
+    orbitdb = new OrbitDB(ipfs, dbPath)
+  })
+
+  after(async () => {
+    if (orbitdb)
+      await orbitdb.stop()
+
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  it('creates and lists identities', async () => {
+    const work = await orbitdb.identities.create('work')
+    const home = await orbitdb.identities.create('home')
+
+    assert.equal(orbitdb.identities.get('work').getPublic('hex'), work.getPublic('hex'))
+    assert.notEqual(work.getPublic('hex'), orbitdb.key.getPublic('hex'))
+
+    const identities = await orbitdb.identities.list()
+    assert.deepEqual(identities, [
+      { name: 'work', publicKey: work.getPublic('hex') },
+      { name: 'home', publicKey: home.getPublic('hex') },
+    ])
+  })
+
+  it('throws an error when the identity already exists', async () => {
+    let err
+    try {
+      await orbitdb.identities.create('work')
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, `Error: Identity 'work' already exists`)
+  })
+
+  it('creates a database with the key of the identity', async () => {
+    const key = orbitdb.identities.get('work').getPublic('hex')
+    const db = await orbitdb.feed('work-feed', { identity: 'work' })
+    await db.add('hello')
+
+    assert.equal(db.key.getPublic('hex'), key)
+    assert.deepEqual(db.access.write, [key])
+    assert.equal(db.iterator({ limit: -1 }).collect()[0].key, key)
+    await db.close()
+  })
+
+  it('can\'t write with another identity', async () => {
+    const db = await orbitdb.feed('home-feed', { identity: 'home' })
+    const address = db.address.toString()
+    await db.close()
+
+    const other = await orbitdb.feed(address, { identity: 'work' })
+    let err
+    try {
+      await other.add('hello')
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, 'Error: Not allowed to write')
+    await other.close()
+  })
+
+  it('writes to the access rights with the identity of the admin', async () => {
+    const key = orbitdb.identities.get('work').getPublic('hex')
+    const db = await orbitdb.eventlog('work-admin', { identity: 'work', admin: [key] })
+    await db.access.grant('write', orbitdb.key.getPublic('hex'))
+    assert.equal(db.access.write.includes(orbitdb.key.getPublic('hex')), true)
+    await db.close()
+  })
+
+  it('throws an error when the identity doesn\'t exist', async () => {
+    let err
+    try {
+      await orbitdb.feed('missing-identity', { identity: 'missing' })
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, `Error: Identity 'missing' doesn't exist`)
+  })
+})
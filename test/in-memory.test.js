@@ -0,0 +1,83 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const MemoryStorage = require('../src/memory-storage')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const ipfsPath = './orbitdb/tests/in-memory/ipfs'
+
+describe('orbit-db - In Memory', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, orbitdb
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    ipfs = await startIpfs(config.daemon1)
+    orbitdb = await OrbitDB.create(ipfs, { directory: ':memory:' })
+  })
+
+  after(async () => {
+    if (orbitdb)
+      await orbitdb.stop()
+
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  it('keeps the keys and the databases in memory', async () => {
+    assert.equal(orbitdb.storage instanceof MemoryStorage, true)
+    assert.notEqual(orbitdb.key, undefined)
+
+    const db = await orbitdb.feed('in-memory')
+    await db.add('hello')
+    await db.close()
+
+    assert.equal(fs.existsSync(':memory:'), false)
+  })
+
+  it('opens the databases from memory', async () => {
+    const databases = await orbitdb.databases()
+    assert.equal(databases.length, 1)
+    assert.equal(databases[0].entries, 1)
+    assert.equal(databases[0].size, null)
+
+    const db = await orbitdb.feed(databases[0].address.toString(), { localOnly: true })
+    await db.load()
+    assert.equal(db.iterator({ limit: -1 }).collect()[0].payload.value, 'hello')
+    await db.close()
+  })
+
+  it('drops a database', async () => {
+    const db = await orbitdb.log('dropped')
+    await db.add('hello')
+    await orbitdb.drop(db.address)
+    const databases = await orbitdb.databases({ name: 'dropped' })
+    assert.deepEqual(databases, [])
+  })
+
+  it('removes everything when disconnected', async () => {
+    const orbitdb2 = new OrbitDB(ipfs, ':memory:', { peerId: 'in-memory' })
+    const db = await orbitdb2.kvstore('removed')
+    await db.put('hello', 'world')
+    await orbitdb2.disconnect()
+
+    assert.deepEqual(orbitdb2.storage._stores, {})
+    assert.equal(fs.existsSync(':memory:'), false)
+  })
+
+  it('doesn\'t remove a storage it was given', async () => {
+    const storage = new MemoryStorage()
+    const orbitdb2 = new OrbitDB(ipfs, ':memory:', { peerId: 'in-memory-storage', storage: storage })
+    const db = await orbitdb2.kvstore('kept')
+    await db.put('hello', 'world')
+    await orbitdb2.disconnect()
+
+    assert.notDeepEqual(storage._stores, {})
+  })
+})
@@ -0,0 +1,147 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const PassphraseKeystore = require('../src/passphrase-keystore')
+const createMemoryKeystore = require('../src/memory-keystore')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/keystore-passphrase'
+const ipfsPath = './orbitdb/tests/keystore-passphrase/ipfs'
+const keystorePath = path.join(dbPath, 'passphrase', '/keystore')
+
+const open = (ipfs, passphrase) => OrbitDB.create(ipfs, {
+  directory: dbPath,
+  peerId: 'passphrase',
+  passphrase: passphrase,
+})
+
+// Returns the error the promise was rejected with
+const errorOf = async (promise) => {
+  try {
+    await promise
+  } catch (e) {
+    return e.toString()
+  }
+}
+
+describe('orbit-db - Keystore passphrase', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, publicKey
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    ipfs = await startIpfs(config.daemon1)
+  })
+
+  after(async () => {
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  it('encrypts the keys with the passphrase', async () => {
+    const orbitdb = await open(ipfs, 'correct horse')
+    publicKey = orbitdb.key.getPublic('hex')
+    const privateKey = orbitdb.key.getPrivate('hex')
+    await orbitdb.stop()
+
+    const files = fs.readdirSync(keystorePath)
+      .map(e => fs.readFileSync(path.join(keystorePath, e), 'utf8'))
+    assert.equal(files.some(e => e.includes(privateKey)), false)
+  })
+
+  it('unlocks the keystore with the passphrase', async () => {
+    const orbitdb = await open(ipfs, 'correct horse')
+    assert.equal(orbitdb.key.getPublic('hex'), publicKey)
+
+    const db = await orbitdb.log('unlocked')
+    await db.add('hello')
+    await orbitdb.stop()
+  })
+
+  it('throws an error when the passphrase is wrong', async () => {
+    const err = await errorOf(open(ipfs, 'battery staple'))
+    assert.equal(err, `Error: Couldn't open the keystore in '${keystorePath}': Couldn't unlock the keystore, the passphrase is wrong`)
+  })
+
+  it('throws an error when the passphrase is not given', async () => {
+    const err = await errorOf(open(ipfs))
+    assert.equal(err, `Error: Couldn't open the keystore in '${keystorePath}': The keystore is encrypted, give the 'passphrase' to unlock it`)
+  })
+
+  it('changes the passphrase', async () => {
+    const orbitdb = await open(ipfs, 'correct horse')
+    await orbitdb.changePassphrase('correct horse', 'battery staple')
+    await orbitdb.stop()
+
+    const err = await errorOf(open(ipfs, 'correct horse'))
+    assert.equal(err, `Error: Couldn't open the keystore in '${keystorePath}': Couldn't unlock the keystore, the passphrase is wrong`)
+
+    const reopened = await open(ipfs, 'battery staple')
+    assert.equal(reopened.key.getPublic('hex'), publicKey)
+    await reopened.stop()
+  })
+
+  it('doesn\'t change the passphrase without the current one', async () => {
+    const orbitdb = await open(ipfs, 'battery staple')
+    const err = await errorOf(orbitdb.changePassphrase('correct horse', 'another'))
+    assert.equal(err, `Error: Couldn't unlock the keystore, the passphrase is wrong`)
+    await orbitdb.stop()
+  })
+  describe('Storage', function() {
+    // A keystore in a storage that isn't shared with the other keystores
+    const createKeystore = (storage) => {
+      const keystore = createMemoryKeystore()
+      keystore._storage = storage || keystore._storage
+      return keystore
+    }
+
+    it('only encrypts the keys of the keystore', async () => {
+      const keystore = createKeystore()
+      const key = keystore.createKey('peer')
+      const other = JSON.stringify({ publicKey: 'not', privateKey: 'mine', app: true })
+      keystore._storage.setItem('settings', 'hello')
+      PassphraseKeystore.unlockKeystore(keystore, 'correct horse')
+      keystore._storage._storage.setItem('other', other)
+      PassphraseKeystore.changePassphrase(keystore, 'correct horse', 'battery staple')
+
+      const storage = keystore._storage._storage
+      assert.equal(storage.getItem('settings'), 'hello')
+      assert.equal(storage.getItem('other'), other)
+      assert.equal(storage.getItem('peer').includes(key.getPrivate('hex')), false)
+      assert.equal(keystore.getKey('peer').getPrivate('hex'), key.getPrivate('hex'))
+    })
+
+    it('finishes changing the passphrase when the keystore is opened again', async () => {
+      const keystore = createKeystore()
+      const key = keystore.createKey('peer')
+      keystore.createKey('identity')
+      PassphraseKeystore.unlockKeystore(keystore, 'correct horse')
+
+      // The keystore is closed after the first key was saved with the new passphrase
+      const storage = keystore._storage._storage
+      const setItem = storage.setItem.bind(storage)
+      storage.setItem = (id, value) => {
+        if (id === 'identity')
+          throw new Error(`Closed`)
+        setItem(id, value)
+      }
+      assert.throws(() => PassphraseKeystore.changePassphrase(keystore, 'correct horse', 'battery staple'))
+      storage.setItem = setItem
+
+      const reopened = createKeystore(storage)
+      assert.equal(PassphraseKeystore.isLocked(reopened), true)
+      assert.throws(() => PassphraseKeystore.unlockKeystore(reopened, 'correct horse'))
+      PassphraseKeystore.unlockKeystore(reopened, 'battery staple')
+      assert.equal(reopened.getKey('peer').getPrivate('hex'), key.getPrivate('hex'))
+      assert.notEqual(reopened.getKey('identity'), null)
+    })
+  })
+})
@@ -0,0 +1,125 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/manifest'
+const ipfsPath = './orbitdb/tests/manifest/ipfs'
+
+const getManifest = async (ipfs, address) => {
+  const dag = await ipfs.object.get(address.root)
+  return JSON.parse(dag.toJSON().data)
+}
+
+describe('orbit-db - Manifest', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, orbitdb, db
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    ipfs = await startIpfs(config.daemon1)
+    orbitdb = new OrbitDB(ipfs, dbPath)
+  })
+
+  after(async () => {
+    if (orbitdb)
+      await orbitdb.stop()
+
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  afterEach(async () => {
+    if (db)
+      await db.close()
+
+    db = null
+  })
+
+  describe('Metadata', function() {
+    const meta = {
+      description: 'Users of the app',
+      creator: 'creator-key',
+      version: 2,
+    }
+
+    it('doesn\'t add the optional fields by default', async () => {
+      db = await orbitdb.feed('no-meta')
+      const manifest = await getManifest(ipfs, db.address)
+      assert.deepEqual(Object.keys(manifest), ['name', 'type', 'accessController', 'accessControllerType'])
+      assert.equal(db.manifest.meta, undefined)
+    })
+
+    it('saves the metadata in the manifest', async () => {
+      db = await orbitdb.feed('meta', { meta: meta })
+      const manifest = await getManifest(ipfs, db.address)
+      assert.deepEqual(manifest.meta, meta)
+    })
+
+    it('exposes the manifest in the database', async () => {
+      db = await orbitdb.feed('meta-reopen', { meta: meta })
+      const address = db.address.toString()
+      await db.close()
+
+      db = await orbitdb.feed(address)
+      assert.equal(db.manifest.name, 'meta-reopen')
+      assert.equal(db.manifest.type, 'feed')
+      assert.deepEqual(db.manifest.meta, meta)
+    })
+
+    it('creates a different address with different metadata', async () => {
+      db = await orbitdb.feed('meta-address', { meta: { version: 1 } })
+      const address1 = db.address.toString()
+      await db.close()
+
+      db = await orbitdb.feed('meta-address', { meta: { version: 2 } })
+      assert.notEqual(db.address.toString(), address1)
+    })
+  })
+
+  describe('Store options', function() {
+    it('saves the store options in the manifest', async () => {
+      db = await orbitdb.docs('store-options', { storeOptions: { indexBy: 'name' } })
+      const manifest = await getManifest(ipfs, db.address)
+      assert.deepEqual(manifest.storeOptions, { indexBy: 'name' })
+    })
+
+    it('uses the store options when opened from an address', async () => {
+      db = await orbitdb.docs('store-options-reopen', { storeOptions: { indexBy: 'name' } })
+      const address = db.address.toString()
+      await db.put({ name: 'hello', value: 1 })
+      await db.close()
+
+      db = await orbitdb.docs(address)
+      await db.load()
+      assert.equal(db.options.indexBy, 'name')
+      assert.equal(db.get('hello')[0].value, 1)
+    })
+
+    it('uses the given options instead of the store options', async () => {
+      db = await orbitdb.docs('store-options-override', { storeOptions: { indexBy: 'name' } })
+      const address = db.address.toString()
+      await db.close()
+
+      db = await orbitdb.docs(address, { indexBy: 'title' })
+      assert.equal(db.options.indexBy, 'title')
+    })
+
+    it('ignores the store options that are not allowed in the manifest', async () => {
+      db = await orbitdb.docs('store-options-ignored', { storeOptions: { indexBy: 'name', replicate: false, directory: './elsewhere' } })
+      const address = db.address.toString()
+      await db.close()
+
+      db = await orbitdb.docs(address)
+      assert.equal(db.options.indexBy, 'name')
+      assert.equal(db.options.replicate, true)
+      assert.equal(db.options.directory, undefined)
+    })
+  })
+})
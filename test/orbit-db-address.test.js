@@ -0,0 +1,139 @@
+'use strict'
+
+const assert = require('assert')
+const OrbitDBAddress = require('../src/orbit-db-address')
+
+const root = 'Qmc9PMho3LwTXSaUXJ8WjeBZyXesAwUofdkGeadFXsqMzW'
+const rootV1 = 'bafybeignedpkstqvyca4d65zcss3bth3m5mn2odsv7p6gtpdgcu2dcozw4'
+const address = `/orbitdb/${root}/first`
+const addressV1 = `/orbitdb/${rootV1}/first`
+
+describe('orbit-db - OrbitDB Address', function() {
+  describe('Parse', function() {
+    it('parses an address', () => {
+      const result = OrbitDBAddress.parse(address)
+      assert.equal(result.root, root)
+      assert.equal(result.path, 'first')
+    })
+
+    it('parses an address without the protocol prefix', () => {
+      const result = OrbitDBAddress.parse(`${root}/first`)
+      assert.equal(result.root, root)
+      assert.equal(result.path, 'first')
+    })
+
+    it('parses an address with a CIDv1 root', () => {
+      const result = OrbitDBAddress.parse(addressV1)
+      assert.equal(result.root, rootV1)
+      assert.equal(result.path, 'first')
+    })
+
+    it('parses an address with a long path', () => {
+      const result = OrbitDBAddress.parse(`${address}/my/database`)
+      assert.equal(result.path, 'first/my/database')
+    })
+
+    it('normalizes the path', () => {
+      const result = OrbitDBAddress.parse(`\\orbitdb\\${root}\\first\\\\my//database/`)
+      assert.equal(result.root, root)
+      assert.equal(result.path, 'first/my/database')
+      assert.equal(result.toString(), `${address}/my/database`)
+    })
+
+    it('throws an error with the reason if the address is not valid', () => {
+      let err
+      try {
+        OrbitDBAddress.parse('/orbitdb/first')
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err.indexOf('Error: Not a valid OrbitDB address: /orbitdb/first. Root \'first\' is not a valid CID'), 0)
+    })
+  })
+
+  describe('Validate', function() {
+    it('validates an address with a CIDv0 root', () => {
+      assert.equal(OrbitDBAddress.validate(address), null)
+      assert.equal(OrbitDBAddress.isValid(address), true)
+    })
+
+    it('validates an address with a CIDv1 root', () => {
+      assert.equal(OrbitDBAddress.validate(addressV1), null)
+      assert.equal(OrbitDBAddress.isValid(addressV1), true)
+    })
+
+    it('returns the reason if the address is empty', () => {
+      assert.equal(OrbitDBAddress.validate(''), 'Address is empty')
+      assert.equal(OrbitDBAddress.validate(null), 'Address is empty')
+      assert.equal(OrbitDBAddress.isValid(''), false)
+    })
+
+    it('returns the reason if the root is missing', () => {
+      assert.equal(OrbitDBAddress.validate('/orbitdb/'), 'Root hash is missing')
+    })
+
+    it('returns the reason if the root is not a CID', () => {
+      assert.equal(OrbitDBAddress.validate('first').indexOf('Root \'first\' is not a valid CID'), 0)
+      assert.equal(OrbitDBAddress.isValid('first'), false)
+    })
+
+    it('returns the reason if the root is a name that parses as a CIDv0', () => {
+      // Base58 strings that aren't sha2-256 hashes
+      assert.equal(OrbitDBAddress.validate('ntaskk').indexOf('Root \'ntaskk\' is not a valid CID'), 0)
+      assert.equal(OrbitDBAddress.isValid('ntaskk'), false)
+      assert.equal(OrbitDBAddress.isValid('/orbitdb/qkierwhmcc/first'), false)
+    })
+  })
+
+  describe('toString', function() {
+    it('returns the address', () => {
+      assert.equal(new OrbitDBAddress(root, 'first').toString(), address)
+    })
+
+    it('returns the address without a path', () => {
+      assert.equal(new OrbitDBAddress(root).toString(), `/orbitdb/${root}`)
+    })
+
+    it('uses \'/\' as the separator', () => {
+      assert.equal(new OrbitDBAddress(root, 'first\\my\\database').toString(), `${address}/my/database`)
+    })
+  })
+
+  describe('CIDv1', function() {
+    it('converts the root to CIDv1 base32', () => {
+      const result = OrbitDBAddress.parse(address).toV1()
+      assert.equal(result.root, rootV1)
+      assert.equal(result.toString(), addressV1)
+    })
+
+    it('converts the root to CIDv1 in the given base', () => {
+      const result = OrbitDBAddress.parse(address).toV1('base58btc')
+      assert.equal(result.root.indexOf('z'), 0)
+      assert.equal(OrbitDBAddress.parse(result.toString()).equals(address), true)
+    })
+
+    it('converts the root back to CIDv0', () => {
+      const result = OrbitDBAddress.parse(addressV1).toV0()
+      assert.equal(result.toString(), address)
+    })
+  })
+
+  describe('equals', function() {
+    it('equals the same address', () => {
+      assert.equal(OrbitDBAddress.parse(address).equals(address), true)
+      assert.equal(OrbitDBAddress.parse(address).equals(OrbitDBAddress.parse(address)), true)
+    })
+
+    it('equals the same address with a CIDv1 root', () => {
+      assert.equal(OrbitDBAddress.parse(address).equals(addressV1), true)
+    })
+
+    it('doesn\'t equal an address with a different path', () => {
+      assert.equal(OrbitDBAddress.parse(address).equals(`/orbitdb/${root}/second`), false)
+    })
+
+    it('doesn\'t equal an invalid address', () => {
+      assert.equal(OrbitDBAddress.parse(address).equals('first'), false)
+    })
+  })
+})
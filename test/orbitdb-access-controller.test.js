@@ -0,0 +1,225 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const Entry = require('ipfs-log/src/entry')
+const OrbitDB = require('../src/OrbitDB')
+const OrbitDBAccessController = require('../src/orbitdb-access-controller')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+const waitForPeers = require('./utils/wait-for-peers')
+
+const dbPath1 = './orbitdb/tests/orbitdb-access-controller/1'
+const dbPath2 = './orbitdb/tests/orbitdb-access-controller/2'
+const ipfsPath1 = './orbitdb/tests/orbitdb-access-controller/1/ipfs'
+const ipfsPath2 = './orbitdb/tests/orbitdb-access-controller/2/ipfs'
+
+// Resolves when the database has received an update to its access rights
+const waitForAccessUpdate = (db, check) => {
+  return new Promise((resolve) => {
+    const onUpdate = () => {
+      if (check()) {
+        db.events.removeListener('access.updated', onUpdate)
+        resolve()
+      }
+    }
+    db.events.on('access.updated', onUpdate)
+    onUpdate()
+  })
+}
+
+describe('orbit-db - Dynamic Access Controller', function() {
+  this.timeout(config.timeout)
+
+  let ipfs1, ipfs2, orbitdb1, orbitdb2, db1, db2
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath1
+    config.daemon2.repo = ipfsPath2
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(config.daemon2.repo)
+    rmrf.sync(dbPath1)
+    rmrf.sync(dbPath2)
+    ipfs1 = await startIpfs(config.daemon1)
+    ipfs2 = await startIpfs(config.daemon2)
+    // Connect the peers manually to speed up test times
+    await ipfs2.swarm.connect(ipfs1._peerInfo.multiaddrs._multiaddrs[0].toString())
+    await ipfs1.swarm.connect(ipfs2._peerInfo.multiaddrs._multiaddrs[0].toString())
+    orbitdb1 = new OrbitDB(ipfs1, dbPath1)
+    orbitdb2 = new OrbitDB(ipfs2, dbPath2)
+  })
+
+  after(async () => {
+    if(orbitdb1)
+      await orbitdb1.stop()
+
+    if(orbitdb2)
+      await orbitdb2.stop()
+
+    if (ipfs1)
+      await ipfs1.stop()
+
+    if (ipfs2)
+      await ipfs2.stop()
+  })
+
+  describe('Create', function() {
+    it('creates an immutable access controller if no admins were given', async () => {
+      const db = await orbitdb1.feed('no-admins')
+      assert.equal(db.access instanceof OrbitDBAccessController, false)
+      assert.equal(db.access.grant, undefined)
+      await db.close()
+    })
+
+    it('creates a dynamic access controller if admins were given', async () => {
+      const db = await orbitdb1.feed('admins', { admin: [orbitdb1.key.getPublic('hex')] })
+      assert.equal(db.access instanceof OrbitDBAccessController, true)
+      assert.deepEqual(db.access.admin, [orbitdb1.key.getPublic('hex')])
+      assert.equal(db.access.log.indexOf('/orbitdb'), 0)
+      await db.close()
+    })
+
+    it('loads the dynamic access controller when opened from an address', async () => {
+      const db = await orbitdb1.feed('admins-reopen', { admin: [orbitdb1.key.getPublic('hex')] })
+      const address = db.address.toString()
+      await db.close()
+      const reopened = await orbitdb1.feed(address)
+      assert.equal(reopened.access instanceof OrbitDBAccessController, true)
+      await reopened.close()
+    })
+  })
+
+  describe('Close', function() {
+    it('keeps the eventlog of changes open while another database uses it', async () => {
+      const admin = [orbitdb1.key.getPublic('hex')]
+      const db1 = await orbitdb1.feed('shared-access', { admin: admin })
+      const db2 = await orbitdb1.feed('shared-access', { admin: admin, write: [orbitdb2.key.getPublic('hex')] })
+      assert.notEqual(db1.address.toString(), db2.address.toString())
+      assert.equal(db1.access.log, db2.access.log)
+
+      await db1.close()
+      await db1.access.close()
+      assert.notEqual(orbitdb1.stores[db2.access.log], undefined)
+
+      await db2.close()
+      await db2.access.close()
+      assert.equal(orbitdb1.stores[db2.access.log], undefined)
+    })
+  })
+
+  describe('Grant & Revoke', function() {
+    let count = 0
+
+    beforeEach(async () => {
+      // Each test needs a new database, the access rights of
+      // a database are kept even if the database is dropped
+      db1 = await orbitdb1.feed('dynamic-access-' + count++, {
+        admin: [orbitdb1.key.getPublic('hex')],
+      })
+      db2 = await orbitdb2.feed(db1.address.toString())
+      await waitForPeers(ipfs1, [orbitdb2.id], db1.address.toString())
+      await waitForPeers(ipfs2, [orbitdb1.id], db1.address.toString())
+      await waitForPeers(ipfs2, [orbitdb1.id], db1.access.log)
+    })
+
+    afterEach(async () => {
+      await db1.drop()
+      await db2.drop()
+    })
+
+    it('doesn\'t allow a non-admin to grant access', async () => {
+      let err
+      try {
+        await db2.access.grant('write', orbitdb2.key.getPublic('hex'))
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, `Error: Not allowed to change the access rights, '${orbitdb2.key.getPublic('hex')}' is not an admin`)
+    })
+
+    it('doesn\'t allow to change unknown access levels', async () => {
+      let err
+      try {
+        await db1.access.grant('superuser', orbitdb2.key.getPublic('hex'))
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, `Error: Access level 'superuser' can't be changed`)
+    })
+
+    it('grants write access', async () => {
+      const key = orbitdb2.key.getPublic('hex')
+      await db1.access.grant('write', key)
+      assert.equal(db1.access.write.includes(key), true)
+      await waitForAccessUpdate(db2, () => db2.access.write.includes(key))
+      assert.equal(db2.access.write.includes(key), true)
+    })
+
+    it('replicates entries written after write access was granted', async () => {
+      const key = orbitdb2.key.getPublic('hex')
+      await db1.access.grant('write', key)
+      await waitForAccessUpdate(db2, () => db2.access.write.includes(key))
+
+      return new Promise(async (resolve, reject) => {
+        db1.events.on('replicated', () => {
+          try {
+            const result = db1.iterator({ limit: -1 }).collect()
+            assert.equal(result.length, 1)
+            assert.equal(result[0].payload.value, 'hello')
+            resolve()
+          } catch (e) {
+            reject(e)
+          }
+        })
+        await db2.add('hello')
+      })
+    })
+
+    it('revokes write access', async () => {
+      const key = orbitdb2.key.getPublic('hex')
+      await db1.access.grant('write', key)
+      await waitForAccessUpdate(db2, () => db2.access.write.includes(key))
+      await db1.access.revoke('write', key)
+      await waitForAccessUpdate(db2, () => !db2.access.write.includes(key))
+      assert.equal(db1.access.write.includes(key), false)
+
+      let err
+      try {
+        await db2.add('not allowed')
+      } catch (e) {
+        err = e
+      }
+      assert.notEqual(err, undefined)
+    })
+
+    it('checks entries against the access rights at the time they were written', async () => {
+      const key = orbitdb2.key.getPublic('hex')
+      await db1.access.grant('write', key)
+      await waitForAccessUpdate(db2, () => db2.access.write.includes(key))
+      // Make sure the revoke happens after the entry was replicated
+      const replicated = new Promise(resolve => db1.events.once('replicated', resolve))
+      await db2.add('hello')
+      await replicated
+      await db1.access.revoke('write', key)
+
+      const entry = db1.iterator({ limit: -1 }).collect()[0]
+      assert.equal(db1.access.canAppend(entry), true)
+    })
+
+    it('doesn\'t allow a revoked writer to backdate entries', async () => {
+      const key = orbitdb2.key.getPublic('hex')
+      await db1.access.grant('write', key)
+      await waitForAccessUpdate(db2, () => db2.access.write.includes(key))
+      const replicated = new Promise(resolve => db1.events.once('replicated', resolve))
+      await db2.add('hello')
+      await replicated
+      await db1.access.revoke('write', key)
+
+      // An entry written after the revocation with the clock of an earlier entry
+      const entry = db1.iterator({ limit: -1 }).collect()[0]
+      const backdated = await Entry.create(ipfs2, entry.id, 'backdated', [], entry.clock, orbitdb2.key)
+      assert.equal(backdated.clock.time, entry.clock.time)
+      assert.equal(db1.access.canAppend(backdated), false)
+    })
+  })
+})
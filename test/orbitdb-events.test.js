@@ -0,0 +1,104 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const MemoryBroker = require('../src/memory-broker')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath1 = './orbitdb/tests/orbitdb-events/1'
+const dbPath2 = './orbitdb/tests/orbitdb-events/2'
+const ipfsPath = './orbitdb/tests/orbitdb-events/ipfs'
+
+// Resolves with the arguments of the next event of the given name
+const nextEvent = (events, name) => {
+  return new Promise(resolve => events.once(name, (...args) => resolve(args)))
+}
+
+describe('orbit-db - OrbitDB Events', function() {
+  this.timeout(config.timeout)
+
+  let ipfs, orbitdb1, orbitdb2, db1, db2
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath1)
+    rmrf.sync(dbPath2)
+    ipfs = await startIpfs(config.daemon1)
+    // Both instances use the same IPFS node and find each other through the memory broker
+    const network = {}
+    orbitdb1 = new OrbitDB(ipfs, dbPath1, { peerId: 'peer1', broker: MemoryBroker, brokerOptions: { network: network } })
+    orbitdb2 = new OrbitDB(ipfs, dbPath2, { peerId: 'peer2', broker: MemoryBroker, brokerOptions: { network: network } })
+  })
+
+  after(async () => {
+    if (orbitdb1)
+      await orbitdb1.stop()
+
+    if (orbitdb2)
+      await orbitdb2.stop()
+
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  it('emits db.open when a database is opened', async () => {
+    const opened = nextEvent(orbitdb1.events, 'db.open')
+    db1 = await orbitdb1.eventlog('events')
+    const args = await opened
+    assert.equal(args[0], db1.address.toString())
+    assert.equal(args[1], db1)
+  })
+
+  it('emits db.write when a database is written to', async () => {
+    const written = nextEvent(orbitdb1.events, 'db.write')
+    const hash = await db1.add('hello')
+    const args = await written
+    assert.equal(args[0], db1.address.toString())
+    assert.equal(args[1].hash, hash)
+  })
+
+  it('emits peer.join when a peer joins a database', async () => {
+    const joined = nextEvent(orbitdb1.events, 'peer.join')
+    db2 = await orbitdb2.eventlog(db1.address.toString())
+    const args = await joined
+    assert.equal(args[0], db1.address.toString())
+    assert.equal(args[1], 'peer2')
+  })
+
+  it('emits db.replicated when a database was replicated', async () => {
+    const replicated = nextEvent(orbitdb2.events, 'db.replicated')
+    await db1.add('world')
+    const args = await replicated
+    assert.equal(args[0], db2.address.toString())
+    assert.equal(db2._oplog.length > 0, true)
+  })
+
+  it('emits error with the address of the database', async () => {
+    const errored = nextEvent(orbitdb1.events, 'error')
+    // A message in a version no one supports
+    await orbitdb1._onMessage(db1.address.toString(), {
+      protocol: 'orbitdb-replication',
+      version: 1,
+      type: 'version',
+      from: 'peer3',
+      payload: { versions: [99] },
+    })
+    const args = await errored
+    assert.equal(args[0], db1.address.toString())
+    assert.equal(args[1] instanceof Error, true)
+  })
+
+  it('doesn\'t throw if there are no error listeners', async () => {
+    orbitdb1._onError(db1.address.toString(), new Error('no listeners'))
+  })
+
+  it('emits db.close when a database is closed', async () => {
+    const closed = nextEvent(orbitdb1.events, 'db.close')
+    await db1.close()
+    const args = await closed
+    assert.equal(args[0], db1.address.toString())
+  })
+})
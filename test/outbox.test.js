@@ -0,0 +1,128 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath1 = './orbitdb/tests/outbox/1'
+const dbPath2 = './orbitdb/tests/outbox/2'
+const ipfsPath1 = './orbitdb/tests/outbox/1/ipfs'
+const ipfsPath2 = './orbitdb/tests/outbox/2/ipfs'
+
+describe('orbit-db - Outbox', function() {
+  this.timeout(config.timeout)
+
+  let ipfs1, ipfs2, orbitdb1, orbitdb2
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath1
+    config.daemon2.repo = ipfsPath2
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(config.daemon2.repo)
+    rmrf.sync(dbPath1)
+    rmrf.sync(dbPath2)
+    ipfs1 = await startIpfs(config.daemon1)
+    ipfs2 = await startIpfs(config.daemon2)
+    // Connect the peers manually to speed up test times
+    await ipfs2.swarm.connect(ipfs1._peerInfo.multiaddrs._multiaddrs[0].toString())
+    await ipfs1.swarm.connect(ipfs2._peerInfo.multiaddrs._multiaddrs[0].toString())
+    orbitdb1 = new OrbitDB(ipfs1, dbPath1)
+    orbitdb2 = new OrbitDB(ipfs2, dbPath2)
+  })
+
+  after(async () => {
+    if(orbitdb1) 
+      await orbitdb1.stop()
+
+    if(orbitdb2) 
+      await orbitdb2.stop()
+
+    if (ipfs1)
+      await ipfs1.stop()
+
+    if (ipfs2)
+      await ipfs2.stop()
+  })
+
+  it('keeps the writes made without peers', async () => {
+    const db = await orbitdb1.eventlog('no-peers')
+    const hash1 = await db.add('hello')
+    const hash2 = await db.add('world')
+    assert.deepEqual(db.pendingAnnouncements(), [hash1, hash2])
+    await db.drop()
+  })
+
+  it('keeps the pending announcements when the database is closed', async () => {
+    let db = await orbitdb1.eventlog('reopen')
+    const hash = await db.add('hello')
+    const address = db.address.toString()
+    await db.close()
+
+    db = await orbitdb1.eventlog(address)
+    assert.deepEqual(db.pendingAnnouncements(), [hash])
+    await db.close()
+  })
+
+  it('keeps saving the outbox after saving it failed', async () => {
+    const db = await orbitdb1.eventlog('failed-save')
+    const set = db._cache.set
+    db._cache.set = () => Promise.reject(new Error('Disk full'))
+
+    let err
+    try {
+      await db.replication.written({ hash: 'Qm1', next: [], clock: { id: 'id', time: 1 } })
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, 'Error: Disk full')
+
+    db._cache.set = set
+    const hash = await db.add('hello')
+    await db.replication.written({ hash: 'Qm2', next: [], clock: { id: 'id', time: 2 } })
+    const saved = await db._cache.get('_outbox')
+    assert.deepEqual(saved.map(e => e.hash), ['Qm1', hash, 'Qm2'])
+    await db.drop()
+  })
+
+  it('only announces the latest entries that are not in the log', async () => {
+    const db = await orbitdb1.eventlog('unannounced')
+    const entry = (hash, time, next = []) => ({ hash: hash, next: next, clock: { id: 'id', time: time } })
+    await db.replication.written(entry('Qm1', 1))
+    await db.replication.written(entry('Qm2', 2, ['Qm1']))
+    await db.replication.written(entry('Qm3', 1))
+    await db.replication.written(entry('Qm4', 3))
+    const hash = await db.add('hello')
+
+    assert.deepEqual(db.replication.unannounced(10).map(e => e.hash), ['Qm4', 'Qm2', 'Qm3'])
+    assert.deepEqual(db.replication.unannounced(2).map(e => e.hash), ['Qm4', 'Qm2'])
+    assert.equal(db.pendingAnnouncements().includes(hash), true)
+    await db.drop()
+  })
+
+  it('announces the pending writes when a peer joins', async () => {
+    const db1 = await orbitdb1.eventlog('peer-joins')
+    await db1.add('hello')
+    await db1.close()
+
+    // Open the database again without loading it
+    const db = await orbitdb1.eventlog(db1.address.toString())
+    assert.equal(db.pendingAnnouncements().length, 1)
+
+    const db2 = await orbitdb2.eventlog(db.address.toString())
+
+    await new Promise(resolve => {
+      const timer = setInterval(() => {
+        if (db.pendingAnnouncements().length === 0 && db2.iterator({ limit: -1 }).collect().length === 1) {
+          clearInterval(timer)
+          resolve()
+        }
+      }, 200)
+    })
+
+    assert.equal(db2.iterator({ limit: -1 }).collect()[0].payload.value, 'hello')
+    await db.close()
+    await db2.close()
+  })
+})
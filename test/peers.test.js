@@ -0,0 +1,110 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath1 = './orbitdb/tests/peers/1'
+const dbPath2 = './orbitdb/tests/peers/2'
+const ipfsPath1 = './orbitdb/tests/peers/1/ipfs'
+const ipfsPath2 = './orbitdb/tests/peers/2/ipfs'
+
+const waitFor = (check) => {
+  return new Promise(resolve => {
+    const timer = setInterval(() => {
+      if (check()) {
+        clearInterval(timer)
+        resolve()
+      }
+    }, 200)
+  })
+}
+
+describe('orbit-db - Peers', function() {
+  this.timeout(config.timeout)
+
+  let ipfs1, ipfs2, orbitdb1, orbitdb2, db1, db2
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath1
+    config.daemon2.repo = ipfsPath2
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(config.daemon2.repo)
+    rmrf.sync(dbPath1)
+    rmrf.sync(dbPath2)
+    ipfs1 = await startIpfs(config.daemon1)
+    ipfs2 = await startIpfs(config.daemon2)
+    // Connect the peers manually to speed up test times
+    await ipfs2.swarm.connect(ipfs1._peerInfo.multiaddrs._multiaddrs[0].toString())
+    await ipfs1.swarm.connect(ipfs2._peerInfo.multiaddrs._multiaddrs[0].toString())
+    orbitdb1 = new OrbitDB(ipfs1, dbPath1)
+    orbitdb2 = new OrbitDB(ipfs2, dbPath2)
+
+    db1 = await orbitdb1.eventlog('peers')
+    await db1.add('hello')
+  })
+
+  after(async () => {
+    if(orbitdb1)
+      await orbitdb1.stop()
+
+    if(orbitdb2)
+      await orbitdb2.stop()
+
+    if (ipfs1)
+      await ipfs1.stop()
+
+    if (ipfs2)
+      await ipfs2.stop()
+  })
+
+  it('has no peers before anyone joins', async () => {
+    assert.deepEqual(db1.peers(), [])
+  })
+
+  it('emits peer.join when a peer joins the database', async () => {
+    const joined = new Promise(resolve => {
+      db1.events.once('peer.join', (address, peer) => resolve({ address: address, peer: peer }))
+    })
+
+    db2 = await orbitdb2.eventlog(db1.address.toString())
+
+    const result = await joined
+    assert.equal(result.address, db1.address.toString())
+    assert.equal(result.peer, orbitdb2.id)
+  })
+
+  it('lists the peers in the database with their public keys', async () => {
+    // The peers learn each other's keys from the replication messages
+    await waitFor(() => db1.peers().length === 1 && db1.peers()[0].key !== null)
+    await waitFor(() => db2.peers().length === 1 && db2.peers()[0].key !== null)
+
+    const peers = db1.peers()
+    assert.equal(peers[0].id, orbitdb2.id)
+    assert.equal(peers[0].key, orbitdb2.key.getPublic('hex'))
+    assert.notEqual(peers[0].joined, null)
+    assert.deepEqual(orbitdb1.peers(db1.address), peers)
+
+    assert.equal(db2.peers()[0].id, orbitdb1.id)
+    assert.equal(db2.peers()[0].key, orbitdb1.key.getPublic('hex'))
+  })
+
+  it('emits peer.exit when a peer leaves the database', async () => {
+    const left = new Promise(resolve => {
+      db1.events.once('peer.exit', (address, peer, key) => resolve({ peer: peer, key: key }))
+    })
+
+    await db2.close()
+
+    const result = await left
+    assert.equal(result.peer, orbitdb2.id)
+    assert.equal(result.key, orbitdb2.key.getPublic('hex'))
+    assert.deepEqual(db1.peers(), [])
+  })
+
+  it('returns no peers for a database that is not open', async () => {
+    assert.deepEqual(orbitdb2.peers(db1.address), [])
+  })
+})
@@ -0,0 +1,157 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+const waitForPeers = require('./utils/wait-for-peers')
+
+const dbPath1 = './orbitdb/tests/read-access/1'
+const dbPath2 = './orbitdb/tests/read-access/2'
+const ipfsPath1 = './orbitdb/tests/read-access/1/ipfs'
+const ipfsPath2 = './orbitdb/tests/read-access/2/ipfs'
+
+describe('orbit-db - Read Access', function() {
+  this.timeout(config.timeout)
+
+  let ipfs1, ipfs2, orbitdb1, orbitdb2, db1, db2
+  let count = 0
+
+  // Opens the database on the second peer and waits for it to replicate
+  const replicate = (db) => {
+    return new Promise(async (resolve, reject) => {
+      try {
+        db2 = await orbitdb2.open(db.address.toString())
+        db2.events.on('replicated', () => resolve(db2))
+        await waitForPeers(ipfs1, [orbitdb2.id], db.address.toString())
+      } catch (e) {
+        reject(e)
+      }
+    })
+  }
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath1
+    config.daemon2.repo = ipfsPath2
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(config.daemon2.repo)
+    rmrf.sync(dbPath1)
+    rmrf.sync(dbPath2)
+    ipfs1 = await startIpfs(config.daemon1)
+    ipfs2 = await startIpfs(config.daemon2)
+    // Connect the peers manually to speed up test times
+    await ipfs2.swarm.connect(ipfs1._peerInfo.multiaddrs._multiaddrs[0].toString())
+    await ipfs1.swarm.connect(ipfs2._peerInfo.multiaddrs._multiaddrs[0].toString())
+    orbitdb1 = new OrbitDB(ipfs1, dbPath1)
+    orbitdb2 = new OrbitDB(ipfs2, dbPath2)
+  })
+
+  after(async () => {
+    if(orbitdb1)
+      await orbitdb1.stop()
+
+    if(orbitdb2)
+      await orbitdb2.stop()
+
+    if (ipfs1)
+      await ipfs1.stop()
+
+    if (ipfs2)
+      await ipfs2.stop()
+  })
+
+  afterEach(async () => {
+    if (db1)
+      await db1.drop()
+
+    if (db2)
+      await db2.drop()
+
+    db1 = db2 = null
+  })
+
+  it('encrypts the entries', async () => {
+    db1 = await orbitdb1.feed('read-access-' + count++, { read: [orbitdb2.key.getPublic('hex')] })
+    const hash = await db1.add('hello')
+    const dag = await ipfs1.object.get(hash)
+    const entry = JSON.parse(dag.toJSON().data)
+    assert.equal(entry.payload.op, 'ENCRYPTED')
+    assert.equal(JSON.stringify(entry).indexOf('hello'), -1)
+  })
+
+  it('decrypts the entries for the creator', async () => {
+    db1 = await orbitdb1.feed('read-access-' + count++, { read: [orbitdb2.key.getPublic('hex')] })
+    const hash = await db1.add('hello')
+    assert.equal(db1.get(hash).payload.value, 'hello')
+    assert.equal(db1.iterator({ limit: -1 }).collect()[0].payload.value, 'hello')
+  })
+
+  it('decrypts the entries when loaded from disk', async () => {
+    db1 = await orbitdb1.keyvalue('read-access-' + count++, { read: [orbitdb2.key.getPublic('hex')] })
+    await db1.put('hello', 'world')
+    await db1.close()
+    db1 = await orbitdb1.keyvalue(db1.address.toString())
+    await db1.load()
+    assert.equal(db1.get('hello'), 'world')
+  })
+
+  it('decrypts the replicated entries for readers', async () => {
+    db1 = await orbitdb1.docs('read-access-' + count++, { read: [orbitdb2.key.getPublic('hex')] })
+    await db1.put({ _id: 'hello', doc: 'world' })
+    await replicate(db1)
+    assert.deepEqual(db2.get('hello'), [{ _id: 'hello', doc: 'world' }])
+    assert.deepEqual(db2.query(e => e.doc === 'world'), [{ _id: 'hello', doc: 'world' }])
+  })
+
+  it('doesn\'t decrypt the replicated entries for non-readers', async () => {
+    const reader = orbitdb1.keystore.createKey('another-reader').getPublic('hex')
+    db1 = await orbitdb1.feed('read-access-' + count++, { read: [reader] })
+    await db1.add('hello')
+    await replicate(db1)
+    assert.equal(db2._oplog.length, 1)
+    assert.deepEqual(db2.iterator({ limit: -1 }).collect(), [])
+  })
+
+  it('gives access to the existing entries when a reader is added', async () => {
+    const reader = orbitdb1.keystore.createKey('another-reader').getPublic('hex')
+    db1 = await orbitdb1.feed('read-access-' + count++, {
+      admin: [orbitdb1.key.getPublic('hex')],
+      read: [reader],
+    })
+    await db1.add('hello')
+    await replicate(db1)
+    assert.deepEqual(db2.iterator({ limit: -1 }).collect(), [])
+
+    await waitForPeers(ipfs2, [orbitdb1.id], db1.access.log)
+
+    return new Promise(async (resolve, reject) => {
+      db2.events.on('access.updated', () => {
+        try {
+          const result = db2.iterator({ limit: -1 }).collect()
+          if (result.length === 1) {
+            assert.equal(result[0].payload.value, 'hello')
+            resolve()
+          }
+        } catch (e) {
+          reject(e)
+        }
+      })
+      await db1.access.grant('read', orbitdb2.key.getPublic('hex'))
+    })
+  })
+
+  it('doesn\'t allow to revoke read access', async () => {
+    db1 = await orbitdb1.feed('read-access-' + count++, {
+      admin: [orbitdb1.key.getPublic('hex')],
+      read: [orbitdb2.key.getPublic('hex')],
+    })
+    let err
+    try {
+      await db1.access.revoke('read', orbitdb2.key.getPublic('hex'))
+    } catch (e) {
+      err = e.toString()
+    }
+    assert.equal(err, 'Error: Read access can\'t be revoked, the reader already has the key to decrypt the entries')
+  })
+})
@@ -0,0 +1,162 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+const waitForPeers = require('./utils/wait-for-peers')
+
+const dbPath1 = './orbitdb/tests/replication-controls/1'
+const dbPath2 = './orbitdb/tests/replication-controls/2'
+const ipfsPath1 = './orbitdb/tests/replication-controls/1/ipfs'
+const ipfsPath2 = './orbitdb/tests/replication-controls/2/ipfs'
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Resolves once the database has the given number of entries
+const waitForEntries = (db, count) => {
+  return new Promise(resolve => {
+    const timer = setInterval(() => {
+      if (db.iterator({ limit: -1 }).collect().length === count) {
+        clearInterval(timer)
+        resolve()
+      }
+    }, 200)
+  })
+}
+
+describe('orbit-db - Replication Controls', function() {
+  this.timeout(config.timeout)
+
+  let ipfs1, ipfs2, orbitdb1, orbitdb2, db1, db2
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath1
+    config.daemon2.repo = ipfsPath2
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(config.daemon2.repo)
+    rmrf.sync(dbPath1)
+    rmrf.sync(dbPath2)
+    ipfs1 = await startIpfs(config.daemon1)
+    ipfs2 = await startIpfs(config.daemon2)
+    // Connect the peers manually to speed up test times
+    await ipfs2.swarm.connect(ipfs1._peerInfo.multiaddrs._multiaddrs[0].toString())
+    await ipfs1.swarm.connect(ipfs2._peerInfo.multiaddrs._multiaddrs[0].toString())
+    orbitdb1 = new OrbitDB(ipfs1, dbPath1)
+    orbitdb2 = new OrbitDB(ipfs2, dbPath2)
+  })
+
+  after(async () => {
+    if(orbitdb1) 
+      await orbitdb1.stop()
+
+    if(orbitdb2) 
+      await orbitdb2.stop()
+
+    if (ipfs1)
+      await ipfs1.stop()
+
+    if (ipfs2)
+      await ipfs2.stop()
+  })
+
+  afterEach(async () => {
+    if (db1)
+      await db1.drop()
+
+    if (db2)
+      await db2.drop()
+
+    db1 = db2 = null
+  })
+
+  const open = async (name, options1 = {}, options2 = {}) => {
+    const write = [orbitdb1.key.getPublic('hex'), orbitdb2.key.getPublic('hex')]
+    db1 = await orbitdb1.eventlog(name, Object.assign({ write: write }, options1))
+    db2 = await orbitdb2.eventlog(db1.address.toString(), options2)
+  }
+
+  describe('Options', function() {
+    it('replicates both ways by default', async () => {
+      db1 = await orbitdb1.eventlog('default-mode')
+      assert.equal(db1.replication.mode, 'both')
+      assert.equal(db1.replication.paused, false)
+    })
+
+    it('is paused if opened with replicate set to false', async () => {
+      db1 = await orbitdb1.eventlog('not-replicated', { replicate: false })
+      assert.equal(db1.replication.paused, true)
+      assert.equal(db1.replication.canSend, false)
+      assert.equal(db1.replication.canReceive, false)
+    })
+
+    it('throws an error if the replication mode is not valid', async () => {
+      let err
+      try {
+        db1 = await orbitdb1.eventlog('invalid-mode', { replicationMode: 'sideways' })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Invalid replication mode \'sideways\', use one of both, pull, push')
+    })
+
+    it('changes the mode at runtime', async () => {
+      db1 = await orbitdb1.eventlog('change-mode')
+      db1.replication.setMode('push')
+      assert.equal(db1.replication.mode, 'push')
+      assert.equal(db1.replication.canSend, true)
+      assert.equal(db1.replication.canReceive, false)
+
+      let err
+      try {
+        db1.replication.setMode('sideways')
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Invalid replication mode \'sideways\', use one of both, pull, push')
+    })
+  })
+
+  describe('Replication', function() {
+    it('doesn\'t send heads in pull mode', async () => {
+      await open('pull-mode', { replicationMode: 'pull' })
+      await waitForPeers(ipfs1, [orbitdb2.id], db1.address.toString())
+      await waitForPeers(ipfs2, [orbitdb1.id], db1.address.toString())
+
+      await db1.add('hello')
+      await db2.add('world')
+
+      await waitForEntries(db1, 2)
+      await wait(2000)
+      assert.equal(db2.iterator({ limit: -1 }).collect().length, 1)
+    })
+
+    it('doesn\'t sync heads in push mode', async () => {
+      await open('push-mode', {}, { replicationMode: 'push' })
+      await waitForPeers(ipfs1, [orbitdb2.id], db1.address.toString())
+      await waitForPeers(ipfs2, [orbitdb1.id], db1.address.toString())
+
+      await db1.add('hello')
+      await db2.add('world')
+
+      await waitForEntries(db1, 2)
+      await wait(2000)
+      assert.equal(db2.iterator({ limit: -1 }).collect().length, 1)
+    })
+
+    it('doesn\'t replicate while paused and catches up when resumed', async () => {
+      await open('pause')
+      await waitForPeers(ipfs1, [orbitdb2.id], db1.address.toString())
+      await waitForPeers(ipfs2, [orbitdb1.id], db1.address.toString())
+
+      db2.replication.pause()
+      await db1.add('hello')
+      await wait(2000)
+      assert.equal(db2.iterator({ limit: -1 }).collect().length, 0)
+
+      db2.replication.resume()
+      await waitForEntries(db2, 1)
+    })
+  })
+})
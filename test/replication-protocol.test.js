@@ -0,0 +1,121 @@
+'use strict'
+
+const assert = require('assert')
+const ReplicationProtocol = require('../src/replication-protocol')
+
+const MessageType = ReplicationProtocol.MessageType
+
+describe('orbit-db - Replication Protocol', function() {
+  describe('createMessage', function() {
+    it('creates a message in the latest version', () => {
+      const message = ReplicationProtocol.createMessage(MessageType.HEADS, 'peer1', { heads: [] })
+      assert.deepEqual(message, {
+        protocol: 'orbitdb-replication',
+        version: ReplicationProtocol.version,
+        type: 'heads',
+        from: 'peer1',
+        payload: { heads: [] },
+      })
+    })
+
+    it('creates a message in the given version', () => {
+      const message = ReplicationProtocol.createMessage(MessageType.HEADS_REQUEST, 'peer1', {}, 1)
+      assert.equal(message.version, 1)
+      assert.equal(message.type, 'heads.request')
+    })
+
+    it('creates the array of heads in the unversioned protocol', () => {
+      const heads = [{ hash: 'Qm...' }]
+      assert.deepEqual(ReplicationProtocol.createMessage(MessageType.HEADS, 'peer1', { heads: heads, ack: true }, 0), heads)
+      assert.equal(ReplicationProtocol.createMessage(MessageType.ACK, 'peer1', { heads: ['Qm...'] }, 0), null)
+    })
+
+    it('adds the public key of the sender if given', () => {
+      const message = ReplicationProtocol.createMessage(MessageType.HEADS, 'peer1', { heads: [] }, 1, '04abc')
+      assert.equal(message.key, '04abc')
+    })
+  })
+
+  describe('parseMessage', function() {
+    it('parses a message', () => {
+      const message = ReplicationProtocol.createMessage(MessageType.ACK, 'peer1', { heads: ['Qm...'] })
+      const result = ReplicationProtocol.parseMessage(JSON.parse(JSON.stringify(message)))
+      assert.deepEqual(result, message)
+    })
+
+    it('parses the heads sent by peers before the protocol was versioned', () => {
+      const heads = [{ hash: 'Qm...' }]
+      const result = ReplicationProtocol.parseMessage(heads)
+      assert.equal(result.version, 0)
+      assert.equal(result.type, 'heads')
+      assert.equal(result.from, null)
+      assert.deepEqual(result.payload.heads, heads)
+    })
+
+    it('throws an error if the message is not a replication message', () => {
+      let err
+      try {
+        ReplicationProtocol.parseMessage({ hello: 'world' })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Not a replication message')
+    })
+
+    it('throws an error if the version is not valid', () => {
+      let err
+      try {
+        ReplicationProtocol.parseMessage({ protocol: 'orbitdb-replication', version: '1', type: 'heads', payload: {} })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Invalid protocol version \'1\'')
+    })
+
+    it('throws an error if the payload is missing', () => {
+      let err
+      try {
+        ReplicationProtocol.parseMessage({ protocol: 'orbitdb-replication', version: 1, type: 'heads' })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, 'Error: Invalid payload in a \'heads\' message')
+    })
+
+    it('parses messages of unknown types and versions', () => {
+      const result = ReplicationProtocol.parseMessage({ protocol: 'orbitdb-replication', version: 99, type: 'new-type', payload: {} })
+      assert.equal(result.version, 99)
+      assert.equal(ReplicationProtocol.isSupported(result.version), false)
+    })
+  })
+
+  describe('negotiate', function() {
+    it('returns the highest common version', () => {
+      assert.equal(ReplicationProtocol.negotiate([1, 2, 3]), 1)
+    })
+
+    it('returns null if there are no common versions', () => {
+      assert.equal(ReplicationProtocol.negotiate([2, 3]), null)
+      assert.equal(ReplicationProtocol.negotiate(undefined), null)
+    })
+
+    it('doesn\'t negotiate the unversioned protocol', () => {
+      assert.equal(ReplicationProtocol.negotiate([0]), null)
+    })
+  })
+
+  describe('digest', function() {
+    it('returns the same digest for the same heads in any order', () => {
+      const digest1 = ReplicationProtocol.digest([{ hash: 'Qm1' }, { hash: 'Qm2' }])
+      const digest2 = ReplicationProtocol.digest([{ hash: 'Qm2' }, { hash: 'Qm1' }])
+      assert.equal(digest1, digest2)
+      assert.equal(ReplicationProtocol.digest(['Qm1', 'Qm2']), digest1)
+    })
+
+    it('returns a different digest for different heads', () => {
+      const digest1 = ReplicationProtocol.digest([{ hash: 'Qm1' }])
+      const digest2 = ReplicationProtocol.digest([{ hash: 'Qm1' }, { hash: 'Qm2' }])
+      assert.notEqual(digest1, digest2)
+    })
+  })
+})
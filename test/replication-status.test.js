@@ -0,0 +1,91 @@
+'use strict'
+
+const assert = require('assert')
+const mapSeries = require('p-each-series')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+const waitForPeers = require('./utils/wait-for-peers')
+
+const dbPath1 = './orbitdb/tests/replication-status/1'
+const dbPath2 = './orbitdb/tests/replication-status/2'
+const ipfsPath1 = './orbitdb/tests/replication-status/1/ipfs'
+const ipfsPath2 = './orbitdb/tests/replication-status/2/ipfs'
+
+describe('orbit-db - Replication Status', function() {
+  this.timeout(config.timeout)
+
+  let ipfs1, ipfs2, orbitdb1, orbitdb2, db1, db2
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath1
+    config.daemon2.repo = ipfsPath2
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(config.daemon2.repo)
+    rmrf.sync(dbPath1)
+    rmrf.sync(dbPath2)
+    ipfs1 = await startIpfs(config.daemon1)
+    ipfs2 = await startIpfs(config.daemon2)
+    // Connect the peers manually to speed up test times
+    await ipfs2.swarm.connect(ipfs1._peerInfo.multiaddrs._multiaddrs[0].toString())
+    await ipfs1.swarm.connect(ipfs2._peerInfo.multiaddrs._multiaddrs[0].toString())
+    orbitdb1 = new OrbitDB(ipfs1, dbPath1)
+    orbitdb2 = new OrbitDB(ipfs2, dbPath2)
+
+    db1 = await orbitdb1.eventlog('replication status')
+    db2 = await orbitdb2.eventlog(db1.address.toString())
+
+    await waitForPeers(ipfs1, [orbitdb2.id], db1.address.toString())
+    await waitForPeers(ipfs2, [orbitdb1.id], db1.address.toString())
+  })
+
+  after(async () => {
+    if(orbitdb1) 
+      await orbitdb1.stop()
+
+    if(orbitdb2) 
+      await orbitdb2.stop()
+
+    if (ipfs1)
+      await ipfs1.stop()
+
+    if (ipfs2)
+      await ipfs2.stop()
+  })
+
+  it('returns the status of each peer', async () => {
+    const entryCount = 10
+    const entryArr = []
+
+    for (let i = 0; i < entryCount; i ++)
+      entryArr.push(i)
+
+    await mapSeries(entryArr, (i) => db1.add('hello' + i))
+
+    await new Promise(resolve => {
+      const timer = setInterval(() => {
+        const status = db2.replicationStatus()[orbitdb1.id]
+        if (db2._oplog.length === entryCount && status && status.queued === 0) {
+          clearInterval(timer)
+          resolve()
+        }
+      }, 200)
+    })
+
+    const status = db2.replicationStatus()[orbitdb1.id]
+    assert.deepEqual(status.heads, db1._oplog.heads.map(e => e.hash))
+    assert.equal(status.queued, 0)
+    assert.equal(status.fetched > 0, true)
+    assert.equal(status.lag, 0)
+    assert.notEqual(status.lastHeads, null)
+    assert.notEqual(status.lastSync, null)
+    assert.equal(status.lastSync >= status.lastHeads, true)
+  })
+
+  it('returns the status of each database', async () => {
+    const status = orbitdb2.replicationStatus()
+    assert.deepEqual(Object.keys(status), [db2.address.toString()])
+    assert.deepEqual(status[db2.address.toString()], db2.replicationStatus())
+  })
+})
@@ -0,0 +1,260 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const Entry = require('ipfs-log/src/entry')
+const OrbitDB = require('../src/OrbitDB')
+const MemoryBroker = require('../src/memory-broker')
+const PeerScores = require('../src/peer-scores')
+const ReplicationProtocol = require('../src/replication-protocol')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath1 = './orbitdb/tests/replication-validation/1'
+const dbPath2 = './orbitdb/tests/replication-validation/2'
+const dbPath3 = './orbitdb/tests/replication-validation/3'
+const dbPath4 = './orbitdb/tests/replication-validation/4'
+const ipfsPath = './orbitdb/tests/replication-validation/ipfs'
+
+const MessageType = ReplicationProtocol.MessageType
+
+const waitFor = (check) => {
+  return new Promise(resolve => {
+    const timer = setInterval(() => {
+      if (check()) {
+        clearInterval(timer)
+        resolve()
+      }
+    }, 100)
+  })
+}
+
+describe('orbit-db - Replication Validation', function() {
+  this.timeout(config.timeout)
+
+  describe('PeerScores', function() {
+    it('allows messages within the rate limit', () => {
+      const scores = new PeerScores({ maxMessages: 2, interval: 60000 })
+      assert.equal(scores.allow('peer1'), null)
+      assert.equal(scores.allow('peer1'), null)
+      assert.equal(scores.allow('peer2'), null)
+    })
+
+    it('limits the number of messages of a peer', () => {
+      const scores = new PeerScores({ maxMessages: 2, interval: 60000 })
+      scores.allow('peer1')
+      scores.allow('peer1')
+      assert.equal(scores.allow('peer1'), 'Peer \'peer1\' sent more than 2 messages in 60000ms')
+      assert.equal(scores.score('peer1'), PeerScores.Score.RATE_LIMITED)
+    })
+
+    it('ignores peers with a low score', () => {
+      const scores = new PeerScores({ minScore: -5 })
+      scores.update('peer1', PeerScores.Score.INVALID)
+      assert.equal(scores.isIgnored('peer1'), false)
+      scores.update('peer1', PeerScores.Score.INVALID)
+      assert.equal(scores.isIgnored('peer1'), true)
+      assert.equal(scores.allow('peer1'), 'Peer \'peer1\' is ignored because of its low score -10')
+    })
+
+    it('doesn\'t raise the score above the maximum', () => {
+      const scores = new PeerScores({ maxScore: 2 })
+      for (let i = 0; i < 5; i ++)
+        scores.update('peer1', PeerScores.Score.VALID)
+      assert.equal(scores.score('peer1'), 2)
+    })
+  })
+
+  describe('Incoming heads', function() {
+    let ipfs, orbitdb1, orbitdb2, db1, db2, rejected
+
+    before(async () => {
+      config.daemon1.repo = ipfsPath
+      rmrf.sync(config.daemon1.repo)
+      rmrf.sync(dbPath1)
+      rmrf.sync(dbPath2)
+      ipfs = await startIpfs(config.daemon1)
+      // The messages are given to orbitdb1 by the tests, the instances
+      // have their own networks so that they don't replicate by themselves
+      orbitdb1 = new OrbitDB(ipfs, dbPath1, { peerId: 'peer1', replication: { minScore: -10 }, broker: MemoryBroker, brokerOptions: { network: {} } })
+      orbitdb2 = new OrbitDB(ipfs, dbPath2, { peerId: 'peer2', broker: MemoryBroker, brokerOptions: { network: {} } })
+    })
+
+    after(async () => {
+      if (orbitdb1)
+        await orbitdb1.stop()
+
+      if (orbitdb2)
+        await orbitdb2.stop()
+
+      if (ipfs)
+        await ipfs.stop()
+    })
+
+    beforeEach(async () => {
+      rejected = []
+      const options = {
+        write: [
+          orbitdb1.key.getPublic('hex'),
+          orbitdb2.key.getPublic('hex'),
+        ],
+      }
+      db1 = await orbitdb1.eventlog('heads-' + new Date().getTime(), options)
+      db2 = await orbitdb2.eventlog(db1.address.toString())
+      db1.events.on('replicate.rejected', (address, peer, reason, head) => rejected.push({ peer, reason, head }))
+    })
+
+    afterEach(async () => {
+      await db1.drop()
+      await db2.drop()
+    })
+
+    // Sends the heads to db1 as if they were received from the peer
+    const send = async (from, heads, sender = from) => {
+      const message = ReplicationProtocol.createMessage(MessageType.HEADS, from, { heads: heads })
+      await orbitdb1._onMessage(db1.address.toString(), JSON.parse(JSON.stringify(message)), sender)
+    }
+
+    it('syncs valid heads', async () => {
+      await db2.add('hello')
+      const replicated = new Promise(resolve => db1.events.once('replicated', resolve))
+      await send('peer2', db2._oplog.heads)
+      await replicated
+      assert.deepEqual(rejected, [])
+      const entries = db1.iterator({ limit: -1 }).collect()
+      assert.equal(entries.length, 1)
+      assert.equal(entries[0].payload.value, 'hello')
+    })
+
+    it('rejects heads with an invalid structure', async () => {
+      await send('peer3', [{ hash: 'Qm...' }])
+      assert.equal(rejected.length, 1)
+      assert.equal(rejected[0].peer, 'peer3')
+      assert.equal(rejected[0].reason, 'Head \'Qm...\' is missing a log id')
+    })
+
+    it('rejects heads with an invalid signature', async () => {
+      await db2.add('hello')
+      // Claim that the entry was written by another writer
+      const head = Object.assign({}, db2._oplog.heads[0], { key: orbitdb1.key.getPublic('hex') })
+      await send('peer4', [head])
+      assert.equal(rejected.length, 1)
+      assert.equal(rejected[0].reason, `Head '${head.hash}' has an invalid signature`)
+    })
+
+    it('rejects heads with the hash of another entry', async () => {
+      await db2.add('hello')
+      await db2.add('world')
+      // A valid head that claims to be the first entry
+      const first = db2._oplog.values[0]
+      const head = Object.assign({}, db2._oplog.heads[0], { hash: first.hash })
+      await send('peer10', [head])
+      assert.equal(rejected.length, 1)
+      assert.equal(rejected[0].reason, `Head '${first.hash}' doesn't match the hash of its content`)
+      assert.equal(db1.iterator({ limit: -1 }).collect().length, 0)
+    })
+
+    it('rejects heads written without write access', async () => {
+      // An entry of the database signed by a key that wasn't given write access
+      const key = orbitdb2.keystore.createKey('no-write-access')
+      const head = await Entry.create(ipfs, db1._oplog.id, 'hello', [], null, key)
+      await send('peer5', [head])
+      assert.equal(rejected.length, 1)
+      assert.equal(rejected[0].reason, `Head '${head.hash}' was written by '${head.key}' who doesn't have write access`)
+      assert.equal(db1.iterator({ limit: -1 }).collect().length, 0)
+    })
+
+    it('rejects messages that are not replication messages', async () => {
+      await orbitdb1._onMessage(db1.address.toString(), { from: 'peer6', hello: 'world' }, 'peer6')
+      assert.equal(rejected.length, 1)
+      assert.equal(rejected[0].peer, 'peer6')
+      assert.equal(rejected[0].reason, 'Invalid message: Not a replication message')
+    })
+
+    it('ignores a peer that keeps sending invalid heads', async () => {
+      await send('peer7', [{ hash: 'Qm1' }, { hash: 'Qm2' }, { hash: 'Qm3' }])
+      await send('peer7', [{ hash: 'Qm4' }])
+      assert.equal(rejected.length, 4)
+      assert.equal(rejected[3].reason, 'Peer \'peer7\' is ignored because of its low score -15')
+    })
+
+    it('scores the peer the message came from instead of the one it claims to be from', async () => {
+      await send('peer8', [{ hash: 'Qm1' }, { hash: 'Qm2' }, { hash: 'Qm3' }], 'peer9')
+      assert.equal(rejected.length, 3)
+      assert.equal(rejected[0].peer, 'peer9')
+      assert.equal(orbitdb1._peerScores.score('peer8'), 0)
+      assert.equal(orbitdb1._peerScores.score('peer9'), -15)
+    })
+
+    it('scores the peers using the unversioned protocol separately', async () => {
+      const invalid = [{ hash: 'Qm1' }, { hash: 'Qm2' }, { hash: 'Qm3' }]
+      await orbitdb1._onMessage(db1.address.toString(), invalid, 'legacy1')
+      await orbitdb1._onMessage(db1.address.toString(), invalid, 'legacy1')
+      assert.equal(orbitdb1._peerScores.isIgnored('legacy1'), true)
+
+      await db2.add('hello')
+      const replicated = new Promise(resolve => db1.events.once('replicated', resolve))
+      await orbitdb1._onMessage(db1.address.toString(), JSON.parse(JSON.stringify(db2._oplog.heads)), 'legacy2')
+      await replicated
+      assert.equal(rejected.filter(e => e.peer === 'legacy2').length, 0)
+      assert.equal(db1.iterator({ limit: -1 }).collect().length, 1)
+    })
+  })
+
+  describe('Unversioned peers', function() {
+    let ipfs, orbitdb1, orbitdb2, legacy, received
+
+    before(async () => {
+      config.daemon1.repo = ipfsPath
+      rmrf.sync(config.daemon1.repo)
+      rmrf.sync(dbPath3)
+      rmrf.sync(dbPath4)
+      ipfs = await startIpfs(config.daemon1)
+      // orbitdb2 writes the entries that the legacy peer sends to orbitdb1
+      const network = {}
+      orbitdb1 = new OrbitDB(ipfs, dbPath3, { peerId: 'peer3', broker: MemoryBroker, brokerOptions: { network: network } })
+      orbitdb2 = new OrbitDB(ipfs, dbPath4, { peerId: 'peer4', broker: MemoryBroker, brokerOptions: { network: {} } })
+      legacy = new MemoryBroker(ipfs, 'legacy', { network: network })
+    })
+
+    after(async () => {
+      if (legacy)
+        legacy.disconnect()
+
+      if (orbitdb1)
+        await orbitdb1.stop()
+
+      if (orbitdb2)
+        await orbitdb2.stop()
+
+      if (ipfs)
+        await ipfs.stop()
+    })
+
+    it('replies to a peer that sends the array of heads with the array of heads', async () => {
+      const db1 = await orbitdb1.eventlog('unversioned', { write: ['*'] })
+      const db2 = await orbitdb2.eventlog(db1.address.toString())
+      const address = db1.address.toString()
+
+      received = []
+      legacy.subscribe(address, (topic, message) => received.push(message))
+      await waitFor(() => db1.peers().length === 1)
+
+      // The peer sends the heads like peers did before the protocol was versioned
+      await db2.add('hello')
+      const replicated = new Promise(resolve => db1.events.once('replicated', resolve))
+      legacy.publish(address, JSON.parse(JSON.stringify(db2._oplog.heads)))
+      await replicated
+
+      received = []
+      await db1.add('world')
+      await waitFor(() => received.length > 0)
+      assert.equal(received.every(e => Array.isArray(e)), true)
+      assert.deepEqual(received[0].map(e => e.payload.value), ['world'])
+
+      await db1.close()
+      await db2.close()
+    })
+  })
+})
+
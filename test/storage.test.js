@@ -0,0 +1,148 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const rmrf = require('rimraf')
+const OrbitDB = require('../src/OrbitDB')
+const MemoryStorage = require('../src/memory-storage')
+const LevelStorage = require('../src/level-storage')
+const config = require('./utils/config')
+const startIpfs = require('./utils/start-ipfs')
+
+const dbPath = './orbitdb/tests/storage'
+const ipfsPath = './orbitdb/tests/storage/ipfs'
+
+// Storage that keeps the data in memory and counts the writes
+class CountingStorage extends MemoryStorage {
+  constructor () {
+    super()
+    this.writes = 0
+  }
+
+  async open (path) {
+    const store = await super.open(path)
+    const put = store.put
+    store.put = (key, value) => {
+      this.writes ++
+      return put(key, value)
+    }
+    return store
+  }
+}
+
+describe('orbit-db - Storage', function() {
+  this.timeout(config.timeout)
+
+  let ipfs
+
+  before(async () => {
+    config.daemon1.repo = ipfsPath
+    rmrf.sync(config.daemon1.repo)
+    rmrf.sync(dbPath)
+    ipfs = await startIpfs(config.daemon1)
+  })
+
+  after(async () => {
+    if (ipfs)
+      await ipfs.stop()
+  })
+
+  describe('Instance storage', function() {
+    let orbitdb, storage
+
+    before(async () => {
+      storage = new MemoryStorage()
+      orbitdb = new OrbitDB(ipfs, path.join(dbPath, '1'), { storage: storage })
+    })
+
+    after(async () => {
+      if (orbitdb)
+        await orbitdb.stop()
+    })
+
+    it('keeps the cache of the databases in the storage', async () => {
+      const db = await orbitdb.eventlog('memory')
+      await db.add('hello')
+      await db.add('world')
+      const address = db.address.toString()
+      await db.close()
+
+      assert.equal(fs.existsSync(path.join(dbPath, '1', db.address.root)), false)
+
+      const reopened = await orbitdb.eventlog(address, { localOnly: true })
+      await reopened.load()
+      const items = reopened.iterator({ limit: -1 }).collect()
+      assert.deepEqual(items.map(e => e.payload.value), ['hello', 'world'])
+    })
+
+    it('keeps the catalog in the storage', async () => {
+      const databases = await orbitdb.databases({ name: 'memory' })
+      assert.equal(databases.length, 1)
+      assert.equal(fs.existsSync(path.join(dbPath, '1', orbitdb.id, 'catalog')), false)
+    })
+  })
+
+  describe('Database storage', function() {
+    let orbitdb
+
+    before(async () => {
+      orbitdb = new OrbitDB(ipfs, path.join(dbPath, '2'))
+    })
+
+    after(async () => {
+      if (orbitdb)
+        await orbitdb.stop()
+    })
+
+    it('uses the storage given when opening the database', async () => {
+      const storage = new CountingStorage()
+      const db = await orbitdb.kvstore('custom', { storage: storage })
+      await db.put('hello', 'world')
+
+      assert.equal(storage.writes > 0, true)
+      assert.equal(fs.existsSync(path.join(dbPath, '2', db.address.root)), false)
+
+      const address = db.address.toString()
+      await db.close()
+
+      // The database is not in the default storage
+      let err
+      try {
+        await orbitdb.kvstore(address, { localOnly: true })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, `Error: Database '${address}' doesn't exist!`)
+
+      const reopened = await orbitdb.kvstore(address, { localOnly: true, storage: storage })
+      await reopened.load()
+      assert.equal(reopened.get('hello'), 'world')
+      await reopened.close()
+    })
+
+    it('uses LevelDB through a level storage', async () => {
+      const db = await orbitdb.eventlog('level', { storage: new LevelStorage() })
+      await db.add('hello')
+      assert.equal(fs.existsSync(path.join(dbPath, '2', db.address.root, db.address.path)), true)
+      await db.close()
+    })
+
+    it('drops a database from its storage', async () => {
+      const storage = new MemoryStorage()
+      const db = await orbitdb.eventlog('drop', { storage: storage })
+      await db.add('hello')
+      const address = db.address.toString()
+
+      await orbitdb.drop(address)
+
+      let err
+      try {
+        await orbitdb.eventlog(address, { localOnly: true, storage: storage })
+      } catch (e) {
+        err = e.toString()
+      }
+      assert.equal(err, `Error: Database '${address}' doesn't exist!`)
+    })
+  })
+})